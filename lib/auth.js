@@ -0,0 +1,175 @@
+// lib/auth.js
+// 인증: 서명된 bearer 토큰 또는 API 키 → identity (학습자 / 클래스 / 교사)
+//
+// AUTH_MODE=off(기본) | optional | required
+//   off       자격 증명을 보지 않음, 모두 IP 기준 익명 identity
+//   optional  자격 증명이 있으면 검증 (틀리면 401), 없으면 익명
+//   required  과금 라우트는 자격 증명 필수
+//
+// 자격 증명: Authorization: Bearer <token | api key>  또는  X-API-Key: <api key>
+//   토큰:   v1.<payload base64url>.<HMAC-SHA256 base64url>   (AUTH_TOKEN_SECRET 필요)
+//   API 키: opk_<랜덤>  (DB에는 sha256 해시만 저장, 원문은 발급 시 한 번만 반환)
+// 관리자 라우트는 AUTH_MODE 와 무관하게 ADMIN_API_KEY 필요, 클래스 라우트는 AUTH_MODE 와 무관하게 자격 증명 검증
+import crypto from 'crypto';
+
+export const IDENTITY_KINDS = ['learner', 'class', 'teacher'];
+const SUBJECT_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+const API_KEY_PREFIX = 'opk_';
+const TOKEN_VERSION = 'v1';
+
+export class AuthError extends Error {
+    constructor(code, status = 401, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+export function authConfig(env = process.env) {
+    return {
+        mode: (env.AUTH_MODE || 'off').toLowerCase(),
+        tokenSecret: env.AUTH_TOKEN_SECRET || '',
+        adminKey: env.ADMIN_API_KEY || '',
+        tokenTtlSec: Number(env.AUTH_TOKEN_TTL_SEC || 60 * 60 * 24 * 30),
+    };
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+function safeEqual(a, b) {
+    const x = Buffer.from(String(a));
+    const y = Buffer.from(String(b));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function validateSubject(kind, subject) {
+    if (!IDENTITY_KINDS.includes(kind)) {
+        throw new AuthError('invalid_kind', 400, { allowed: IDENTITY_KINDS });
+    }
+    if (!SUBJECT_RE.test(String(subject ?? ''))) throw new AuthError('invalid_subject', 400);
+}
+
+export function identityFor(kind, subject, extra = {}) {
+    return { id: `${kind}:${subject}`, kind, subject, ...extra };
+}
+
+// 익명 = 요청 IP 기준 (AUTH_MODE=off 에서는 RATE_LIMIT_WHEN_AUTH_OFF=on 일 때만 rate limit)
+export function anonymousIdentity(req) {
+    return { id: `ip:${req.ip || 'unknown'}`, kind: 'anonymous', subject: req.ip || 'unknown' };
+}
+
+function credentialOf(req) {
+    const header = req.get('authorization') || '';
+    const m = /^Bearer\s+(.+)$/i.exec(header.trim());
+    return (m ? m[1] : req.get('x-api-key') || '').trim() || null;
+}
+
+export function createAuth({ db, config = authConfig() }) {
+    const keys = db.collection('apiKeys');
+    let byHash = null; // keyHash → 키 레코드 (첫 사용 시 로드)
+
+    async function keyIndex() {
+        if (!byHash) {
+            byHash = new Map();
+            for (const k of await keys.find((k) => !k.revokedAt)) byHash.set(k.keyHash, k);
+        }
+        return byHash;
+    }
+
+    const publicKey = ({ keyHash, ...rest }) => rest;
+
+    function issueToken({ kind, subject, ttlSec = config.tokenTtlSec }) {
+        if (!config.tokenSecret) throw new AuthError('token_secret_missing', 500);
+        validateSubject(kind, subject);
+        const now = Math.floor(Date.now() / 1000);
+        const payload = b64url(JSON.stringify({ kind, sub: subject, iat: now, exp: now + Number(ttlSec) }));
+        const sig = b64url(crypto.createHmac('sha256', config.tokenSecret).update(`${TOKEN_VERSION}.${payload}`).digest());
+        return { token: `${TOKEN_VERSION}.${payload}.${sig}`, expiresAt: new Date((now + Number(ttlSec)) * 1000).toISOString() };
+    }
+
+    function verifyToken(token) {
+        const [version, payload, sig] = token.split('.');
+        if (version !== TOKEN_VERSION || !payload || !sig || !config.tokenSecret) {
+            throw new AuthError('invalid_credentials');
+        }
+        const expected = b64url(crypto.createHmac('sha256', config.tokenSecret).update(`${version}.${payload}`).digest());
+        if (!safeEqual(sig, expected)) throw new AuthError('invalid_credentials');
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        } catch {
+            throw new AuthError('invalid_credentials');
+        }
+        if (!IDENTITY_KINDS.includes(claims.kind) || !SUBJECT_RE.test(String(claims.sub ?? ''))) {
+            throw new AuthError('invalid_credentials');
+        }
+        if (!(claims.exp > Date.now() / 1000)) {
+            throw new AuthError('token_expired', 401, { expiredAt: new Date(claims.exp * 1000).toISOString() });
+        }
+        return identityFor(claims.kind, claims.sub, { via: 'token' });
+    }
+
+    async function verifyApiKey(key) {
+        const record = (await keyIndex()).get(sha256(key));
+        if (!record) throw new AuthError('invalid_credentials');
+        return identityFor(record.kind, record.subject, { via: 'api_key', keyId: record.id, limits: record.limits || null });
+    }
+
+    async function verifyCredential(req) {
+        const credential = credentialOf(req);
+        if (!credential) return null;
+        return credential.startsWith(API_KEY_PREFIX) ? verifyApiKey(credential) : verifyToken(credential);
+    }
+
+    function isAdmin(req) {
+        const credential = credentialOf(req);
+        return Boolean(config.adminKey && credential && safeEqual(credential, config.adminKey));
+    }
+
+    return {
+        mode: config.mode,
+        isAdmin,
+        issueToken,
+
+        async createApiKey({ kind, subject, label = null, limits = null }) {
+            validateSubject(kind, subject);
+            const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+            const record = await keys.insert({
+                kind,
+                subject: String(subject),
+                label: label ? String(label).slice(0, 100) : null,
+                limits,
+                keyHash: sha256(key),
+                prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+                revokedAt: null,
+            });
+            (await keyIndex()).set(record.keyHash, record);
+            return { ...publicKey(record), key };
+        },
+
+        async listApiKeys() {
+            return (await keys.find()).map(publicKey);
+        },
+
+        async revokeApiKey(id) {
+            const record = await keys.get(id);
+            if (!record) return null;
+            const next = await keys.update(id, { revokedAt: record.revokedAt || new Date().toISOString() });
+            (await keyIndex()).delete(record.keyHash);
+            return publicKey(next);
+        },
+
+        // 요청 → identity (자격 증명이 틀리면 AuthError)
+        async identify(req) {
+            if (isAdmin(req)) return { id: 'admin', kind: 'admin', subject: 'admin' };
+            if (config.mode === 'off') return anonymousIdentity(req);
+            return (await verifyCredential(req)) || anonymousIdentity(req);
+        },
+
+        // AUTH_MODE 와 무관하게 자격 증명 검증 (교사 권한처럼 관리자 라우트와 같은 취급이 필요한 곳)
+        // 자격 증명이 없으면 null
+        verifyCredential,
+    };
+}
@@ -0,0 +1,219 @@
+// lib/classroom.js
+// 교사/클래스 모드: 클래스(학생 명단) → 숙제(assignment) → 녹음 제출(submission) → 교사 점수 보정
+//
+// 컬렉션: classes, assignments, submissions
+// 숙제 문항은 만들 때 questionIds 로 고정 (topics 로 고르면 그 시점의 문항 목록을 저장)
+import { getQuestion, loadQuestions, pickRandom } from './questions.js';
+import { isValidLearnerId } from './history.js';
+import { OPIC_LEVELS } from './scoring.js';
+
+const MAX_STUDENTS = 200;
+const MAX_ASSIGNMENT_QUESTIONS = 30;
+
+export class ClassroomError extends Error {
+    constructor(code, status = 400, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function normalizeStudents(list) {
+    if (list == null) return [];
+    if (!Array.isArray(list)) throw new ClassroomError('students_must_be_array');
+    const invalid = list.filter((id) => !isValidLearnerId(id));
+    if (invalid.length) throw new ClassroomError('invalid_learner_id', 400, { invalid });
+    return [...new Set(list.map(String))];
+}
+
+// questionIds 직접 지정 또는 topics (+ count 면 그중 무작위 count 개)
+function resolveQuestions({ questionIds, topics, count }) {
+    if (Array.isArray(questionIds) && questionIds.length) {
+        const unknown = questionIds.filter((id) => !getQuestion(String(id)));
+        if (unknown.length) throw new ClassroomError('unknown_questions', 400, { unknown });
+        return [...new Set(questionIds.map(String))];
+    }
+    if (Array.isArray(topics) && topics.length) {
+        const pool = loadQuestions().filter((q) => topics.includes(q.topic));
+        if (!pool.length) throw new ClassroomError('no_questions_for_topics', 400, { topics });
+        const n = count != null ? Number(count) : pool.length;
+        if (!Number.isInteger(n) || n < 1) throw new ClassroomError('invalid_count');
+        const picked = n >= pool.length ? pool : pickRandom(pool, n);
+        return picked.map((q) => q.id);
+    }
+    throw new ClassroomError('questions_required', 400, {
+        message: 'questionIds 또는 topics 중 하나는 필수입니다.',
+    });
+}
+
+// 교사 보정 점수가 있으면 그 값이 최종
+export function effectiveScore(submission) {
+    const o = submission.override;
+    return {
+        score: o?.score ?? submission.review?.score ?? null,
+        level: o?.level ?? submission.review?.recommendedLevel ?? null,
+        overridden: Boolean(o),
+    };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export function createClassroom({ db }) {
+    const classes = db.collection('classes');
+    const assignments = db.collection('assignments');
+    const submissions = db.collection('submissions');
+
+    async function requireClass(id) {
+        const cls = await classes.get(String(id));
+        if (!cls) throw new ClassroomError('class_not_found', 404, { id });
+        return cls;
+    }
+
+    async function requireAssignment(id) {
+        const a = await assignments.get(String(id));
+        if (!a) throw new ClassroomError('assignment_not_found', 404, { id });
+        return a;
+    }
+
+    async function requireSubmission(id) {
+        const s = await submissions.get(String(id));
+        if (!s) throw new ClassroomError('submission_not_found', 404, { id });
+        return s;
+    }
+
+    return {
+        requireClass,
+        requireAssignment,
+        requireSubmission,
+
+        async createClass({ name, teacherId, students }) {
+            const title = (name ?? '').toString().trim();
+            if (!title) throw new ClassroomError('name_required');
+            const list = normalizeStudents(students);
+            if (list.length > MAX_STUDENTS) throw new ClassroomError('too_many_students', 400, { max: MAX_STUDENTS });
+            return classes.insert({ name: title.slice(0, 100), teacherId, students: list });
+        },
+
+        async listClasses({ teacherId, learnerId } = {}) {
+            return classes.find(
+                (c) => (teacherId && c.teacherId === teacherId) || (learnerId && c.students.includes(learnerId))
+            );
+        },
+
+        async addStudents(cls, learnerIds) {
+            const students = [...new Set([...cls.students, ...normalizeStudents(learnerIds)])];
+            if (students.length > MAX_STUDENTS) throw new ClassroomError('too_many_students', 400, { max: MAX_STUDENTS });
+            return classes.update(cls.id, { students });
+        },
+
+        async removeStudent(cls, learnerId) {
+            return classes.update(cls.id, { students: cls.students.filter((s) => s !== learnerId) });
+        },
+
+        async createAssignment(cls, { title, questionIds, topics, count, dueAt, targetLevel, teacherId }) {
+            const due = dueAt ? new Date(dueAt) : null;
+            if (due && Number.isNaN(due.getTime())) throw new ClassroomError('invalid_due_at');
+            const level = (targetLevel || 'IM2').toString().toUpperCase();
+            if (!OPIC_LEVELS.includes(level)) {
+                throw new ClassroomError('invalid_target_level', 400, { allowed: OPIC_LEVELS });
+            }
+            const ids = resolveQuestions({ questionIds, topics, count });
+            if (ids.length > MAX_ASSIGNMENT_QUESTIONS) {
+                throw new ClassroomError('too_many_questions', 400, { max: MAX_ASSIGNMENT_QUESTIONS });
+            }
+            return assignments.insert({
+                classId: cls.id,
+                teacherId,
+                title: (title ?? '').toString().trim().slice(0, 100) || `숙제 (${ids.length}문항)`,
+                questionIds: ids,
+                topics: Array.isArray(topics) && !questionIds?.length ? topics.map(String) : null,
+                dueAt: due ? due.toISOString() : null,
+                targetLevel: level,
+            });
+        },
+
+        async listAssignments(classId) {
+            return assignments.find((a) => a.classId === classId);
+        },
+
+        async addSubmission(assignment, { learnerId, questionId, transcript, fluency, review }) {
+            return submissions.insert({
+                assignmentId: assignment.id,
+                classId: assignment.classId,
+                learnerId,
+                questionId,
+                transcript,
+                fluency: fluency || null,
+                review,
+                late: Boolean(assignment.dueAt && Date.now() > Date.parse(assignment.dueAt)),
+                override: null,
+            });
+        },
+
+        async listSubmissions(assignmentId, { learnerId } = {}) {
+            return submissions.find(
+                (s) => s.assignmentId === assignmentId && (!learnerId || s.learnerId === learnerId)
+            );
+        },
+
+        // 교사 보정: score(1~5) / level / comment — null 을 주면 보정 취소
+        async overrideSubmission(submission, { score, level, comment, teacherId }) {
+            if (score === null) return submissions.update(submission.id, { override: null });
+            const n = Number(score);
+            if (!Number.isInteger(n) || n < 1 || n > 5) throw new ClassroomError('invalid_score', 400, { min: 1, max: 5 });
+            const lv = level ? String(level).toUpperCase() : null;
+            if (lv && !OPIC_LEVELS.includes(lv)) {
+                throw new ClassroomError('invalid_level', 400, { allowed: OPIC_LEVELS });
+            }
+            return submissions.update(submission.id, {
+                override: {
+                    score: n,
+                    level: lv,
+                    comment: comment ? String(comment).slice(0, 2000) : null,
+                    teacherId,
+                    at: new Date().toISOString(),
+                },
+            });
+        },
+
+        // 학생 × 문항 표: 문항별 최신 제출 + 평균 (교사 보정 반영)
+        async roster(cls, assignment) {
+            const subs = await submissions.find((s) => s.assignmentId === assignment.id);
+            const students = cls.students.map((learnerId) => {
+                const mine = subs.filter((s) => s.learnerId === learnerId);
+                const questions = assignment.questionIds.map((questionId) => {
+                    const latest = mine.filter((s) => s.questionId === questionId).at(-1);
+                    if (!latest) return { questionId, status: 'missing' };
+                    return {
+                        questionId,
+                        status: 'submitted',
+                        submissionId: latest.id,
+                        submittedAt: latest.createdAt,
+                        late: latest.late,
+                        attempts: mine.filter((s) => s.questionId === questionId).length,
+                        aiScore: latest.review?.score ?? null,
+                        ...effectiveScore(latest),
+                        comment: latest.override?.comment ?? null,
+                    };
+                });
+                const scores = questions.map((q) => q.score).filter((n) => Number.isFinite(n));
+                return {
+                    learnerId,
+                    submitted: questions.filter((q) => q.status === 'submitted').length,
+                    averageScore: scores.length ? round2(scores.reduce((s, n) => s + n, 0) / scores.length) : null,
+                    questions,
+                };
+            });
+            return {
+                classId: cls.id,
+                assignmentId: assignment.id,
+                title: assignment.title,
+                dueAt: assignment.dueAt,
+                targetLevel: assignment.targetLevel,
+                total: assignment.questionIds.length,
+                students,
+            };
+        },
+    };
+}
@@ -0,0 +1,139 @@
+// lib/conversations.js
+// /ask 대화 모드: conversationId 별 스레드 + 히스토리 트리밍 + 시험관(examiner) 롤플레이
+import { streamText } from './providers/index.js';
+
+export const CONVERSATION_MODES = ['coach', 'examiner'];
+const MAX_CONTEXT_MESSAGES = Number(process.env.CONVERSATION_MAX_MESSAGES || 12);
+const MAX_CONTEXT_CHARS = Number(process.env.CONVERSATION_MAX_CHARS || 12000);
+const MAX_STORED_MESSAGES = 200;
+
+const SYSTEM_PROMPTS = {
+    coach: 'You are a helpful OPIC practice coach. Keep track of what the learner said earlier in this conversation.',
+    examiner: [
+        'You are Ava, the OPIc examiner. Speak only English and stay in role.',
+        'Ask exactly one question per turn, in 1-2 short sentences, and never give feedback or corrections.',
+        'Chain follow-up questions like the real combo set: describe → routine or habit → a specific past experience,',
+        'and build each follow-up on concrete details the learner just mentioned (places, people, times, feelings).',
+    ].join(' '),
+};
+
+export class ConversationError extends Error {
+    constructor(code, status = 400, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// 시스템 프롬프트 + 최근 메시지만 (개수/글자 수 상한 안쪽)
+export function trimHistory(messages, { maxMessages = MAX_CONTEXT_MESSAGES, maxChars = MAX_CONTEXT_CHARS } = {}) {
+    const kept = [];
+    let chars = 0;
+    for (let i = messages.length - 1; i >= 0 && kept.length < maxMessages; i--) {
+        const len = messages[i].content.length;
+        if (kept.length > 0 && chars + len > maxChars) break;
+        kept.unshift(messages[i]);
+        chars += len;
+    }
+    return kept;
+}
+
+export function createConversations({ llm, db }) {
+    const threads = db.collection('conversations');
+    const queues = new Map(); // 스레드 id → 마지막 작업 Promise
+
+    // 같은 스레드의 reply / end 는 하나씩 (동시에 읽고 덮어써서 메시지가 사라지지 않도록)
+    function serialize(id, task) {
+        const run = (queues.get(id) || Promise.resolve()).then(task);
+        const tail = run.catch(() => {});
+        queues.set(id, tail);
+        tail.then(() => {
+            if (queues.get(id) === tail) queues.delete(id);
+        });
+        return run;
+    }
+
+    async function requireOpen(id) {
+        const thread = await threads.get(id);
+        if (!thread) throw new ConversationError('conversation_not_found', 404, { id });
+        if (thread.status === 'ended') throw new ConversationError('conversation_ended', 409, { id });
+        return thread;
+    }
+
+    function toLlmMessages(thread) {
+        const context = trimHistory(thread.messages).map(({ role, content }) => ({ role, content }));
+        const system = thread.question
+            ? `${SYSTEM_PROMPTS[thread.mode]} The opening question was: "${thread.question.text}"`
+            : SYSTEM_PROMPTS[thread.mode];
+        return [{ role: 'system', content: system }, ...context];
+    }
+
+    return {
+        requireOpen,
+
+        async start({ mode = 'coach', learnerId = null, question = null }) {
+            if (!CONVERSATION_MODES.includes(mode)) {
+                throw new ConversationError('invalid_mode', 400, { allowed: CONVERSATION_MODES });
+            }
+            const messages = [];
+            // 시험관 모드는 시험관이 먼저 질문
+            if (mode === 'examiner' && question) {
+                messages.push({ role: 'assistant', content: question.text, at: new Date().toISOString() });
+            }
+            return threads.insert({
+                mode,
+                learnerId,
+                question: question ? { id: question.id, text: question.text, topic: question.topic } : null,
+                status: 'open',
+                messages,
+                summary: null,
+            });
+        },
+
+        get: (id) => threads.get(id),
+
+        // onToken이 있으면 스트리밍 (중간에 끊기면 스레드에 저장하지 않음)
+        reply(id, content, { signal, onToken } = {}) {
+            return serialize(id, async () => {
+                const thread = await requireOpen(id);
+                const messages = [...thread.messages, { role: 'user', content, at: new Date().toISOString() }];
+                const request = {
+                    messages: toLlmMessages({ ...thread, messages }),
+                    temperature: thread.mode === 'examiner' ? 0.8 : 0.7,
+                    signal,
+                };
+                const answer = onToken
+                    ? await streamText(llm, request, onToken)
+                    : (await llm.chat(request)).content;
+                messages.push({ role: 'assistant', content: answer, at: new Date().toISOString() });
+                const saved = await threads.update(id, { messages: messages.slice(-MAX_STORED_MESSAGES) });
+                return { answer, thread: saved };
+            });
+        },
+
+        // 스레드 종료 + 한국어 요약
+        end(id) {
+            return serialize(id, async () => {
+                const thread = await requireOpen(id);
+                let summary = '';
+                if (thread.messages.some((m) => m.role === 'user')) {
+                    const transcript = trimHistory(thread.messages, { maxMessages: 40, maxChars: 20000 })
+                        .map((m) => `${m.role === 'user' ? 'Learner' : thread.mode === 'examiner' ? 'Examiner' : 'Coach'}: ${m.content}`)
+                        .join('\n');
+                    ({ content: summary } = await llm.chat({
+                        messages: [
+                            { role: 'system', content: 'You are an OPIc speaking coach.' },
+                            {
+                                role: 'user',
+                                content: `아래 OPIc 연습 대화를 한국어로 3~5문장 요약해 주세요. 학습자가 말한 주요 내용, 잘한 점, 다음에 연습할 점을 포함하세요.\n\n${transcript}`,
+                            },
+                        ],
+                        temperature: 0.3,
+                    }));
+                }
+                return threads.update(id, { status: 'ended', summary, endedAt: new Date().toISOString() });
+            });
+        },
+    };
+}
@@ -0,0 +1,130 @@
+// lib/corrections.js
+// 문장 단위 문법 교정 → 원문 기준 글자 범위(edit) 계산
+// 모델이 주는 오프셋은 믿지 않고 original/corrected 를 직접 diff 해서 만든다.
+
+export const ERROR_CATEGORIES = [
+    'tense', 'article', 'preposition', 'agreement', 'plural', 'pronoun',
+    'word_order', 'word_choice', 'spelling', 'punctuation', 'other',
+];
+
+const CATEGORY_ALIASES = {
+    'subject-verb agreement': 'agreement',
+    'subject_verb_agreement': 'agreement',
+    verb_tense: 'tense',
+    articles: 'article',
+    prepositions: 'preposition',
+    'word choice': 'word_choice',
+    vocabulary: 'word_choice',
+    'word order': 'word_order',
+    plurals: 'plural',
+};
+
+export function normalizeCategory(value) {
+    const v = String(value || '').trim().toLowerCase();
+    if (ERROR_CATEGORIES.includes(v)) return v;
+    return CATEGORY_ALIASES[v] || CATEGORY_ALIASES[v.replace(/\s+/g, '_')] || 'other';
+}
+
+// 단어 / 공백 / 구두점 단위 토큰 (원문 위치 포함)
+function tokenize(text) {
+    const tokens = [];
+    const re = /\s+|[A-Za-z0-9']+|[^\sA-Za-z0-9']/g;
+    let m;
+    while ((m = re.exec(text))) tokens.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+    return tokens;
+}
+
+/**
+ * original → corrected 토큰 LCS diff
+ * @returns {Array<{ type: 'replace'|'insert'|'delete', start: number, end: number, original: string, replacement: string }>}
+ *   start/end는 original 문장 안의 글자 범위 (insert는 start === end)
+ */
+export function diffEdits(original, corrected) {
+    const a = tokenize(original);
+    const b = tokenize(corrected);
+    const n = a.length;
+    const m = b.length;
+
+    const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i].text === b[j].text
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const edits = [];
+    let pending = null;
+    const flush = () => {
+        if (!pending) return;
+        const { start, end, replacement } = pending;
+        const orig = original.slice(start, end);
+        // 공백만 바뀐 경우는 무시
+        if (orig.trim() !== replacement.trim()) {
+            edits.push({
+                type: !orig ? 'insert' : !replacement ? 'delete' : 'replace',
+                start,
+                end,
+                original: orig,
+                replacement,
+            });
+        }
+        pending = null;
+    };
+    const pos = (i) => (i < n ? a[i].start : original.length);
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && a[i].text === b[j].text) {
+            flush();
+            i++;
+            j++;
+        } else if (j < m && (i >= n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            pending ||= { start: pos(i), end: pos(i), replacement: '' };
+            pending.replacement += b[j].text;
+            j++;
+        } else {
+            pending ||= { start: pos(i), end: pos(i), replacement: '' };
+            pending.end = a[i].end;
+            i++;
+        }
+    }
+    flush();
+    return edits;
+}
+
+/**
+ * 모델의 corrections 배열 정리
+ * @returns {Array<{ original, corrected, offset, category, explanation, edits }>}
+ *   offset: 전체 답변(answerText) 안에서 original 문장이 시작하는 위치 (못 찾으면 null)
+ */
+export function normalizeCorrections(raw, answerText = '') {
+    if (!Array.isArray(raw)) return [];
+    let searchFrom = 0;
+    const out = [];
+    for (const c of raw) {
+        if (!c || typeof c !== 'object') continue;
+        const original = String(c.original ?? '').trim();
+        const corrected = String(c.corrected ?? '').trim();
+        if (!original || !corrected || original === corrected) continue;
+
+        const edits = diffEdits(original, corrected);
+        if (!edits.length) continue;
+
+        let offset = answerText.indexOf(original, searchFrom);
+        if (offset === -1) offset = answerText.indexOf(original);
+        if (offset !== -1) searchFrom = offset + original.length;
+
+        out.push({
+            original,
+            corrected,
+            offset: offset === -1 ? null : offset,
+            category: normalizeCategory(c.category),
+            explanation: String(c.explanation ?? '').trim(),
+            edits,
+        });
+    }
+    return out;
+}
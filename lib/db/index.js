@@ -0,0 +1,33 @@
+// lib/db/index.js
+// 저장소 선택 (DB_BACKEND=json | memory)
+//
+// 컬렉션 인터페이스 (모두 async)
+//   insert(doc)              → 저장된 doc ({ id, createdAt } 자동)
+//   get(id)                  → doc | null
+//   find(predicate?)         → doc[]  (삽입 순서)
+//   update(id, patch)        → doc | null
+//   remove(id)               → boolean
+import path from 'path';
+import { ROOT_DIR } from '../questions.js';
+import { createJsonFileDb } from './jsonFile.js';
+import { createMemoryDb } from './memory.js';
+
+const BACKENDS = {
+    json: createJsonFileDb,
+    memory: createMemoryDb,
+};
+
+export function dbConfig(env = process.env) {
+    return {
+        backend: (env.DB_BACKEND || 'json').toLowerCase(),
+        dir: env.DATA_DIR || path.join(ROOT_DIR, 'data'),
+    };
+}
+
+export function createDb(config = dbConfig()) {
+    const factory = BACKENDS[config.backend];
+    if (!factory) {
+        throw new Error(`Unknown DB_BACKEND "${config.backend}" (use: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return factory(config);
+}
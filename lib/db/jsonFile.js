@@ -0,0 +1,45 @@
+// lib/db/jsonFile.js
+// 컬렉션당 JSON 파일 하나 (<DATA_DIR>/<name>.json)
+// 메모리에 올려두고 변경될 때마다 임시 파일 → rename 으로 원자적 저장
+import fs from 'fs';
+import path from 'path';
+import { createCollection } from './memory.js';
+
+const NAME_RE = /^[a-z][a-zA-Z0-9_-]{0,63}$/;
+
+export function createJsonFileDb({ dir }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const collections = new Map();
+
+    function open(name) {
+        if (!NAME_RE.test(name)) throw new Error(`invalid collection name: ${name}`);
+        const file = path.join(dir, `${name}.json`);
+        const docs = new Map();
+        if (fs.existsSync(file)) {
+            for (const doc of JSON.parse(fs.readFileSync(file, 'utf-8'))) docs.set(doc.id, doc);
+        }
+
+        // 쓰기는 순서대로 하나씩 (동시에 rename 하지 않도록)
+        let writing = Promise.resolve();
+        const persist = () => {
+            const job = writing.then(async () => {
+                const tmp = `${file}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tmp, JSON.stringify([...docs.values()], null, 2), 'utf-8');
+                await fs.promises.rename(tmp, file);
+            });
+            writing = job.catch(() => {});
+            return job;
+        };
+
+        return createCollection(docs, persist);
+    }
+
+    return {
+        backend: 'json',
+        dir,
+        collection(name) {
+            if (!collections.has(name)) collections.set(name, open(name));
+            return collections.get(name);
+        },
+    };
+}
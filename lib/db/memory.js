@@ -0,0 +1,44 @@
+// lib/db/memory.js
+// 프로세스 메모리 컬렉션 (개발/테스트용, 재시작하면 사라짐)
+import crypto from 'crypto';
+
+export function createCollection(docs = new Map(), onChange = async () => {}) {
+    return {
+        async insert(doc) {
+            const saved = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...doc };
+            docs.set(saved.id, saved);
+            await onChange();
+            return saved;
+        },
+        async get(id) {
+            return docs.get(id) || null;
+        },
+        async find(predicate = () => true) {
+            return [...docs.values()].filter(predicate);
+        },
+        async update(id, patch) {
+            const current = docs.get(id);
+            if (!current) return null;
+            const next = { ...current, ...patch, id, updatedAt: new Date().toISOString() };
+            docs.set(id, next);
+            await onChange();
+            return next;
+        },
+        async remove(id) {
+            const existed = docs.delete(id);
+            if (existed) await onChange();
+            return existed;
+        },
+    };
+}
+
+export function createMemoryDb() {
+    const collections = new Map();
+    return {
+        backend: 'memory',
+        collection(name) {
+            if (!collections.has(name)) collections.set(name, createCollection());
+            return collections.get(name);
+        },
+    };
+}
@@ -0,0 +1,110 @@
+// lib/did.js
+// D-ID /talks API 클라이언트 (서버 테스트 라우트 + 영상 파이프라인 공용)
+import fetch from 'node-fetch';
+
+export const DID_API_BASE = 'https://api.d-id.com';
+export const DEFAULT_SOURCE_IMAGE_URL =
+    process.env.DID_SOURCE_IMAGE_URL ||
+    'https://illustrious-hummingbird-0af3bb.netlify.app/avatar.png';
+
+async function readJson(res) {
+    const text = await res.text();
+    try {
+        return JSON.parse(text);
+    } catch {
+        return { raw: text };
+    }
+}
+
+// 429 / 5xx / 네트워크 오류만 재시도 대상
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Retry-After: 초 단위 또는 HTTP-date
+export function retryAfterMs(headers) {
+    const v = headers?.get?.('retry-after');
+    if (!v) return null;
+    const secs = Number(v);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(v);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createDidClient({
+    apiKey = process.env.D_ID_API_KEY,
+    maxRetries = Number(process.env.DID_MAX_RETRIES || 3),
+    baseDelayMs = 1000,
+    onRetry = () => {},
+} = {}) {
+    if (!apiKey) throw new Error('D_ID_API_KEY is missing');
+    const authHeader = `Basic ${Buffer.from(apiKey).toString('base64')}`;
+
+    // 일시적 실패는 지수 백오프로 재시도 (429면 Retry-After 우선)
+    async function withRetry(label, fn) {
+        for (let attempt = 0; ; attempt++) {
+            let result;
+            let error;
+            try {
+                result = await fn();
+            } catch (e) {
+                error = e;
+            }
+            const retryable = error ? true : isRetryableStatus(result.status);
+            if (!retryable || attempt >= maxRetries) {
+                if (error) throw error;
+                return result;
+            }
+            const delay = (result && retryAfterMs(result.headers)) ?? baseDelayMs * 2 ** attempt;
+            onRetry({ label, attempt: attempt + 1, delay, status: result?.status, error });
+            await sleep(delay);
+        }
+    }
+
+    // GET 만 재시도: POST /talks 는 D-ID 가 이미 받은 뒤 끊겼을 수 있어 다시 보내면 유료 talk 가 중복 생성됨
+    //   → 생성 재시도는 파이프라인 상태 머신(attempts / retry)이 맡음
+    function request(method, pathname, body) {
+        const send = async () => {
+            const res = await fetch(`${DID_API_BASE}${pathname}`, {
+                method,
+                headers: {
+                    Authorization: authHeader,
+                    ...(body ? { 'Content-Type': 'application/json' } : {}),
+                },
+                body: body ? JSON.stringify(body) : undefined,
+            });
+            return { ok: res.ok, status: res.status, headers: res.headers, json: await readJson(res) };
+        };
+        return method === 'GET' ? withRetry(`${method} ${pathname}`, send) : send();
+    }
+
+    return {
+        createTalk({ text, sourceUrl = DEFAULT_SOURCE_IMAGE_URL }) {
+            return request('POST', '/talks', {
+                source_url: sourceUrl,
+                script: { type: 'text', input: text },
+            });
+        },
+
+        getTalk(talkId) {
+            return request('GET', `/talks/${encodeURIComponent(talkId)}`);
+        },
+
+        async download(url) {
+            const res = await withRetry(`download ${url}`, async () => {
+                const r = await fetch(url);
+                return { ok: r.ok, status: r.status, headers: r.headers, body: r };
+            });
+            if (!res.ok) {
+                const err = new Error(`Download failed with status ${res.status}`);
+                err.status = res.status;
+                throw err;
+            }
+            return Buffer.from(await res.body.arrayBuffer());
+        },
+    };
+}
@@ -0,0 +1,226 @@
+// lib/fluency.js
+// 답변 음성(STT 단어 타임스탬프) → 유창성 지표
+//   말하기 속도(WPM), 쉼(pause), 필러(um/uh/like), 자기 수정, 목표 시간(약 2분) 대비 길이
+
+export const TARGET_DURATION_SEC = 120;
+export const PAUSE_MIN_SEC = 0.6;
+const LONG_PAUSE_SEC = 2;
+
+const SIMPLE_FILLERS = new Set(['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'mm']);
+// "i mean" 은 자기 수정(CORRECTION_MARKERS)으로만 셈 — 두 번 세지 않도록
+const PHRASE_FILLERS = ['you know', 'kind of', 'sort of'];
+// "I like", "would like" 처럼 동사로 쓰인 like는 필러가 아님
+const LIKE_VERB_PREV = new Set([
+    'i', 'you', 'we', 'they', 'he', 'she', 'would', "i'd", "don't", "didn't", 'not', 'really', 'also', 'to', 'do', 'does', 'did', 'people', 'just',
+]);
+const CORRECTION_MARKERS = ['i mean', 'sorry', 'no wait', 'or rather', 'let me rephrase'];
+const FILLER_WORDS = [...SIMPLE_FILLERS, 'like', ...PHRASE_FILLERS];
+const VERDICTS = ['too_short', 'short', 'ok', 'long'];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9'\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// 쉼표를 ',' 토큰으로 남김 (like 가 쉼표로 끊겨 있는지 보려고)
+function tokenizeWithCommas(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9'\s,-]/g, ' ')
+        .replace(/,/g, ' , ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+// like 는 쉼표나 다른 필러로 끊겨 있을 때만 필러 ("it was, like, fun" / "like, um")
+//   "things like camping", "feel like", "I like it" 은 제외
+function isFillerLike(tokens, i) {
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (LIKE_VERB_PREV.has(prev)) return false;
+    const breakAfter = next === undefined || next === ',' || SIMPLE_FILLERS.has(next)
+        || (next === 'you' && tokens[i + 2] === 'know');
+    const breakBefore = prev === undefined || prev === ',' || SIMPLE_FILLERS.has(prev);
+    return breakAfter && (breakBefore || next === ',');
+}
+
+function countPhrase(tokens, phrase) {
+    const parts = phrase.split(' ');
+    let n = 0;
+    for (let i = 0; i + parts.length <= tokens.length; i++) {
+        if (parts.every((p, k) => tokens[i + k] === p)) n += 1;
+    }
+    return n;
+}
+
+export function countFillers(text) {
+    const withCommas = tokenizeWithCommas(text);
+    const tokens = withCommas.filter((t) => t !== ',');
+    const byWord = {};
+    const add = (w, n = 1) => {
+        if (n > 0) byWord[w] = (byWord[w] || 0) + n;
+    };
+
+    withCommas.forEach((t, i) => {
+        if (SIMPLE_FILLERS.has(t)) add(t);
+        if (t === 'like' && isFillerLike(withCommas, i)) add('like');
+    });
+    for (const p of PHRASE_FILLERS) add(p, countPhrase(tokens, p));
+
+    const total = Object.values(byWord).reduce((s, n) => s + n, 0);
+    return { total, byWord };
+}
+
+export function countSelfCorrections(text) {
+    const tokens = tokenize(text).filter((t) => !SIMPLE_FILLERS.has(t));
+    const examples = [];
+
+    // "I I went", "the the" 같은 반복 / "I went I went" 같은 구절 재시작
+    for (let i = 1; i < tokens.length; i++) {
+        if (tokens[i] === tokens[i - 1]) examples.push(`${tokens[i]} ${tokens[i]}`);
+        else if (i >= 3 && tokens[i] === tokens[i - 2] && tokens[i - 1] === tokens[i - 3]) {
+            examples.push(`${tokens[i - 1]} ${tokens[i]} ${tokens[i - 1]} ${tokens[i]}`);
+        }
+    }
+    for (const m of CORRECTION_MARKERS) {
+        for (let k = countPhrase(tokens, m); k > 0; k--) examples.push(m);
+    }
+    return { count: examples.length, examples: examples.slice(0, 10) };
+}
+
+// words: [{ word, start, end }] (초 단위)
+export function measurePauses(words = []) {
+    const gaps = [];
+    for (let i = 1; i < words.length; i++) {
+        const gap = words[i].start - words[i - 1].end;
+        if (gap >= PAUSE_MIN_SEC) gaps.push({ at: round1(words[i - 1].end), sec: round1(gap) });
+    }
+    const totalSec = round1(gaps.reduce((s, g) => s + g.sec, 0));
+    return {
+        count: gaps.length,
+        longCount: gaps.filter((g) => g.sec >= LONG_PAUSE_SEC).length,
+        totalSec,
+        longestSec: gaps.length ? Math.max(...gaps.map((g) => g.sec)) : 0,
+    };
+}
+
+/**
+ * @param {{ text: string, words?: Array<{word:string,start:number,end:number}>, duration?: number }} input
+ */
+export function analyzeFluency({ text, words = [], duration } = {}) {
+    const tokens = tokenize(text);
+    const hasTimings = Array.isArray(words) && words.length > 0;
+
+    // 실제 말한 구간: 첫 단어 시작 ~ 마지막 단어 끝 (없으면 전체 길이)
+    const durationSec = Number.isFinite(duration)
+        ? round1(duration)
+        : hasTimings ? round1(words[words.length - 1].end) : null;
+    const speakingSec = hasTimings
+        ? Math.max(0.1, words[words.length - 1].end - words[0].start)
+        : durationSec;
+
+    const wordCount = hasTimings ? words.length : tokens.length;
+    const wordsPerMinute = speakingSec ? Math.round((wordCount / speakingSec) * 60) : null;
+
+    let durationVsTarget = null;
+    if (durationSec != null) {
+        const ratio = durationSec / TARGET_DURATION_SEC;
+        durationVsTarget = {
+            targetSec: TARGET_DURATION_SEC,
+            ratio: Math.round(ratio * 100) / 100,
+            verdict: ratio < 0.5 ? 'too_short' : ratio < 0.8 ? 'short' : ratio <= 1.25 ? 'ok' : 'long',
+        };
+    }
+
+    return {
+        durationSec,
+        wordCount,
+        wordsPerMinute,
+        pauses: hasTimings ? measurePauses(words) : null,
+        fillers: countFillers(text),
+        selfCorrections: countSelfCorrections(text),
+        durationVsTarget,
+    };
+}
+
+const num = (v, max) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : null;
+};
+
+/**
+ * 클라이언트가 보낸 fluencyMetrics → 알려진 숫자 필드만 남긴 객체 (프롬프트에 그대로 들어가므로)
+ * @returns {object|null} 객체가 아니면 null
+ */
+export function normalizeFluencyMetrics(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const byWord = {};
+    for (const w of FILLER_WORDS) {
+        const n = num(raw.fillers?.byWord?.[w], 1000);
+        if (n) byWord[w] = Math.round(n);
+    }
+    const verdict = raw.durationVsTarget?.verdict;
+    return {
+        durationSec: num(raw.durationSec, 3600),
+        wordCount: num(raw.wordCount, 100000),
+        wordsPerMinute: num(raw.wordsPerMinute, 1000),
+        pauses: raw.pauses && typeof raw.pauses === 'object'
+            ? {
+                count: num(raw.pauses.count, 10000) ?? 0,
+                longCount: num(raw.pauses.longCount, 10000) ?? 0,
+                totalSec: num(raw.pauses.totalSec, 3600) ?? 0,
+                longestSec: num(raw.pauses.longestSec, 3600) ?? 0,
+            }
+            : null,
+        fillers: raw.fillers && typeof raw.fillers === 'object'
+            ? { total: Object.values(byWord).reduce((s, n) => s + n, 0), byWord }
+            : null,
+        selfCorrections: raw.selfCorrections && typeof raw.selfCorrections === 'object'
+            ? { count: num(raw.selfCorrections.count, 10000) ?? 0 }
+            : null,
+        durationVsTarget: VERDICTS.includes(verdict) ? { verdict } : null,
+    };
+}
+
+// 리뷰 프롬프트에 넣을 지표 요약 (피드백 언어별)
+const FLUENCY_LINES = {
+    ko: {
+        duration: (m) => `- 답변 길이: ${m.durationSec}초 (목표 약 ${TARGET_DURATION_SEC}초, ${m.durationVsTarget?.verdict ?? '-'})`,
+        speed: (m) => `- 말하기 속도: ${m.wordsPerMinute} WPM`,
+        pauses: (p) => `- 쉼: ${p.count}회, 총 ${p.totalSec}초, 최장 ${p.longestSec}초`,
+        fillers: (f) => `- 필러 단어: ${f.total}회 ${JSON.stringify(f.byWord || {})}`,
+        corrections: (c) => `- 자기 수정/반복: ${c.count}회`,
+    },
+    en: {
+        duration: (m) => `- Answer length: ${m.durationSec}s (target about ${TARGET_DURATION_SEC}s, ${m.durationVsTarget?.verdict ?? '-'})`,
+        speed: (m) => `- Speaking rate: ${m.wordsPerMinute} WPM`,
+        pauses: (p) => `- Pauses: ${p.count}, ${p.totalSec}s in total, longest ${p.longestSec}s`,
+        fillers: (f) => `- Filler words: ${f.total} ${JSON.stringify(f.byWord || {})}`,
+        corrections: (c) => `- Self-corrections/repetitions: ${c.count}`,
+    },
+    ja: {
+        duration: (m) => `- 回答の長さ: ${m.durationSec}秒 (目標 約${TARGET_DURATION_SEC}秒, ${m.durationVsTarget?.verdict ?? '-'})`,
+        speed: (m) => `- 話す速さ: ${m.wordsPerMinute} WPM`,
+        pauses: (p) => `- ポーズ: ${p.count}回, 合計${p.totalSec}秒, 最長${p.longestSec}秒`,
+        fillers: (f) => `- フィラー: ${f.total}回 ${JSON.stringify(f.byWord || {})}`,
+        corrections: (c) => `- 言い直し/繰り返し: ${c.count}回`,
+    },
+};
+
+export function describeFluency(raw, language = 'ko') {
+    const m = normalizeFluencyMetrics(raw);
+    if (!m) return '';
+    const t = FLUENCY_LINES[language] || FLUENCY_LINES.ko;
+    const lines = [];
+    if (m.durationSec != null) lines.push(t.duration(m));
+    if (m.wordsPerMinute != null) lines.push(t.speed(m));
+    if (m.pauses) lines.push(t.pauses(m.pauses));
+    if (m.fillers) lines.push(t.fillers(m.fillers));
+    if (m.selfCorrections) lines.push(t.corrections(m.selfCorrections));
+    return lines.join('\n');
+}
@@ -0,0 +1,112 @@
+// lib/history.js
+// 학습자별 답변 기록 (attempts) + 진도 통계
+import { CRITERIA, aggregateReviews, levelFromScore } from './scoring.js';
+
+const LEARNER_ID_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+const MIN_TOPIC_ATTEMPTS = 2; // 한 번만 해 본 주제는 약점으로 보기엔 근거가 부족
+
+export function isValidLearnerId(id) {
+    return LEARNER_ID_RE.test(String(id ?? ''));
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function average(nums) {
+    const valid = nums.filter((n) => Number.isFinite(n));
+    return valid.length ? round2(valid.reduce((s, n) => s + n, 0) / valid.length) : null;
+}
+
+// 'day' → 2026-10-19, 'week' → 그 주 월요일 날짜
+function periodKey(iso, bucket) {
+    const d = new Date(iso);
+    if (bucket === 'week') {
+        const day = (d.getUTCDay() + 6) % 7;
+        d.setUTCDate(d.getUTCDate() - day);
+    }
+    return d.toISOString().slice(0, bucket === 'month' ? 7 : 10);
+}
+
+export function createHistory(db) {
+    const attempts = db.collection('attempts');
+
+    return {
+        // review가 있는 답변만 기록 (learnerId 없으면 저장 안 함)
+        async recordAttempt({ learnerId, questionId, topic, transcript, review, source, sessionId = null }) {
+            if (!isValidLearnerId(learnerId) || !review) return null;
+            return attempts.insert({
+                learnerId,
+                questionId,
+                topic: topic || null,
+                transcript,
+                review,
+                source,
+                sessionId,
+            });
+        },
+
+        async history(learnerId, { questionId, topic, limit = 50 } = {}) {
+            const list = await attempts.find(
+                (a) => a.learnerId === learnerId
+                    && (!questionId || a.questionId === questionId)
+                    && (!topic || a.topic === topic)
+            );
+            return list.slice(-limit).reverse();
+        },
+
+        // 기간별 평균 점수 / 등급 추이
+        async trend(learnerId, { bucket = 'week' } = {}) {
+            const list = await attempts.find((a) => a.learnerId === learnerId);
+            const groups = new Map();
+            for (const a of list) {
+                const key = periodKey(a.createdAt, bucket);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(a);
+            }
+            const points = [...groups.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([period, items]) => {
+                    const averageScore = average(items.map((a) => Number(a.review?.score)));
+                    return {
+                        period,
+                        attempts: items.length,
+                        averageScore,
+                        level: averageScore == null ? null : levelFromScore(averageScore),
+                    };
+                });
+            const first = points.find((p) => p.averageScore != null);
+            const last = [...points].reverse().find((p) => p.averageScore != null);
+            return {
+                learnerId,
+                bucket,
+                totalAttempts: list.length,
+                points,
+                change: first && last ? round2(last.averageScore - first.averageScore) : null,
+                overall: aggregateReviews(list),
+            };
+        },
+
+        // 약한 기준(유창성/문법/어휘/내용) + 약한 주제, 낮은 순
+        async weaknesses(learnerId) {
+            const list = await attempts.find((a) => a.learnerId === learnerId);
+            const { criteria } = aggregateReviews(list);
+            const weakestCriteria = CRITERIA
+                .filter((k) => criteria[k] != null)
+                .map((k) => ({ criterion: k, average: criteria[k] }))
+                .sort((a, b) => a.average - b.average);
+
+            const byTopic = new Map();
+            for (const a of list) {
+                if (!a.topic) continue;
+                if (!byTopic.has(a.topic)) byTopic.set(a.topic, []);
+                byTopic.get(a.topic).push(Number(a.review?.score));
+            }
+            const weakestTopics = [...byTopic.entries()]
+                .filter(([, scores]) => scores.length >= MIN_TOPIC_ATTEMPTS)
+                .map(([topic, scores]) => ({ topic, attempts: scores.length, average: average(scores) }))
+                .filter((t) => t.average != null)
+                .sort((a, b) => a.average - b.average || b.attempts - a.attempts);
+
+            return { learnerId, totalAttempts: list.length, weakestCriteria, weakestTopics };
+        },
+    };
+}
@@ -0,0 +1,51 @@
+// lib/httpRange.js
+// Range / 조건부 요청 공용 헬퍼 (TTS 오디오, 아바타 영상)
+
+/**
+ * "bytes=start-end" 단일 구간만 지원 (멀티 레인지는 전체 응답)
+ * @returns {{ start: number, end: number } | null | 'unsatisfiable'}
+ *   null이면 전체(200) 응답
+ */
+export function parseRange(header, total) {
+    if (!header) return null;
+    const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!m || (!m[1] && !m[2])) return null;
+
+    let start;
+    let end;
+    if (!m[1]) {
+        // bytes=-500 → 마지막 500바이트
+        const suffix = parseInt(m[2], 10);
+        if (suffix === 0) return 'unsatisfiable';
+        start = Math.max(0, total - suffix);
+        end = total - 1;
+    } else {
+        start = parseInt(m[1], 10);
+        end = m[2] ? parseInt(m[2], 10) : total - 1;
+    }
+    if (isNaN(start) || isNaN(end) || start > end || start >= total) return 'unsatisfiable';
+    return { start, end: Math.min(end, total - 1) };
+}
+
+// If-None-Match / If-Modified-Since → 304 여부
+export function isNotModified(req, { etag, lastModified }) {
+    const inm = req.headers['if-none-match'];
+    if (inm) {
+        return inm.split(',').map((s) => s.trim()).some((t) => t === '*' || t === etag);
+    }
+    const ims = req.headers['if-modified-since'];
+    if (ims && lastModified) {
+        const since = Date.parse(ims);
+        return Number.isFinite(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+    }
+    return false;
+}
+
+// If-Range가 현재 표현과 다르면 Range를 무시하고 전체를 보내야 함
+export function rangeStillValid(req, { etag, lastModified }) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+    const at = Date.parse(ifRange);
+    return Number.isFinite(at) && lastModified && Math.floor(lastModified.getTime() / 1000) * 1000 <= at;
+}
@@ -0,0 +1,211 @@
+// lib/mediaStore.js
+// TTS 오디오 저장소 (MEDIA_STORE=memory | fs)
+//
+// 공통 인터페이스 (모두 async)
+//   put(buf, mime, { id })  → id        (id를 안 주면 UUID)
+//   get(id)                 → { buf, mime, ts, size } | null
+//   delete(id)
+//   sweep()                 → TTL 지난 항목 정리
+//   stats()                 → { backend, items, bytes, maxBytes }
+//
+// 두 백엔드 모두 MEDIA_TTL_MS 만료 + MEDIA_MAX_BYTES 초과 시 LRU(가장 오래 안 쓴 것)부터 삭제
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR } from './questions.js';
+
+const MEDIA_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+export function isValidMediaId(id) {
+    return MEDIA_ID_RE.test(String(id));
+}
+
+export function mediaConfig(env = process.env) {
+    return {
+        backend: (env.MEDIA_STORE || 'memory').toLowerCase(),
+        dir: env.MEDIA_DIR || path.join(ROOT_DIR, 'media-cache'),
+        ttlMs: Number(env.MEDIA_TTL_MS || 1000 * 60 * 60),
+        maxBytes: Number(env.MEDIA_MAX_BYTES || 200 * 1024 * 1024),
+    };
+}
+
+// 인덱스(Map)는 삽입 순서 = LRU 순서. get 할 때마다 맨 뒤로 옮긴다.
+function createIndex({ ttlMs, maxBytes, onEvict }) {
+    const entries = new Map();
+    let bytes = 0;
+
+    const expired = (e, now = Date.now()) => now - e.ts > ttlMs;
+
+    function remove(id) {
+        const e = entries.get(id);
+        if (!e) return null;
+        entries.delete(id);
+        bytes -= e.size;
+        return e;
+    }
+
+    return {
+        entries,
+        get bytes() {
+            return bytes;
+        },
+        add(id, meta) {
+            remove(id);
+            entries.set(id, meta);
+            bytes += meta.size;
+            const evicted = [];
+            for (const [oldId, e] of entries) {
+                if (bytes <= maxBytes || oldId === id) break;
+                remove(oldId);
+                evicted.push([oldId, e]);
+            }
+            for (const [oldId, e] of evicted) onEvict(oldId, e);
+        },
+        touch(id) {
+            const e = entries.get(id);
+            if (!e) return null;
+            if (expired(e)) {
+                remove(id);
+                onEvict(id, e);
+                return null;
+            }
+            entries.delete(id);
+            entries.set(id, e);
+            return e;
+        },
+        remove,
+        sweep() {
+            const now = Date.now();
+            for (const [id, e] of entries) {
+                if (expired(e, now)) {
+                    remove(id);
+                    onEvict(id, e);
+                }
+            }
+        },
+    };
+}
+
+/* --------------------------------- memory --------------------------------- */
+export function createMemoryStore({ ttlMs, maxBytes }) {
+    const index = createIndex({ ttlMs, maxBytes, onEvict: () => {} });
+
+    return {
+        backend: 'memory',
+        async put(buf, mime = 'audio/mpeg', { id = crypto.randomUUID() } = {}) {
+            index.add(id, { buf, mime, ts: Date.now(), size: buf.length });
+            return id;
+        },
+        async get(id) {
+            const e = index.touch(id);
+            return e ? { buf: e.buf, mime: e.mime, ts: e.ts, size: e.size } : null;
+        },
+        async delete(id) {
+            index.remove(id);
+        },
+        async sweep() {
+            index.sweep();
+        },
+        stats() {
+            return { backend: 'memory', items: index.entries.size, bytes: index.bytes, maxBytes };
+        },
+    };
+}
+
+/* ----------------------------------- fs ----------------------------------- */
+// <dir>/<id>.bin + <id>.json(메타) → 재시작 후에도 유지, 공유 볼륨이면 여러 인스턴스가 같이 사용
+export function createFsStore({ dir, ttlMs, maxBytes }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const binPath = (id) => path.join(dir, `${id}.bin`);
+    const metaPath = (id) => path.join(dir, `${id}.json`);
+
+    // 동기로, 메타부터 지움 — 지운 직후의 get 이 남은 파일을 다른 인스턴스가 쓴 것으로 보고 되살리지 않도록
+    const unlink = (id) => {
+        for (const p of [metaPath(id), binPath(id)]) {
+            try {
+                fs.rmSync(p, { force: true });
+            } catch (e) {
+                console.error('[MEDIA UNLINK ERROR]', e);
+            }
+        }
+    };
+    const index = createIndex({ ttlMs, maxBytes, onEvict: (id) => unlink(id) });
+
+    function readMeta(id) {
+        try {
+            return JSON.parse(fs.readFileSync(metaPath(id), 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    // 기존 파일을 오래된 순서로 인덱스에 적재
+    const existing = fs.readdirSync(dir)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => f.slice(0, -5))
+        .filter(isValidMediaId)
+        .map((id) => [id, readMeta(id)])
+        .filter(([, meta]) => meta)
+        .sort((a, b) => a[1].ts - b[1].ts);
+    for (const [id, meta] of existing) index.add(id, meta);
+    index.sweep();
+
+    async function writeAtomic(file, data) {
+        const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, file);
+    }
+
+    return {
+        backend: 'fs',
+        async put(buf, mime = 'audio/mpeg', { id = crypto.randomUUID() } = {}) {
+            if (!isValidMediaId(id)) throw new Error(`invalid media id: ${id}`);
+            const meta = { mime, ts: Date.now(), size: buf.length };
+            await writeAtomic(binPath(id), buf);
+            await writeAtomic(metaPath(id), JSON.stringify(meta));
+            index.add(id, meta);
+            return id;
+        },
+        async get(id) {
+            if (!isValidMediaId(id)) return null;
+            let meta = index.touch(id);
+            if (!meta) {
+                // 다른 인스턴스가 쓴 파일일 수 있음
+                meta = readMeta(id);
+                if (!meta || Date.now() - meta.ts > ttlMs) return null;
+                index.add(id, meta);
+            }
+            try {
+                const buf = await fs.promises.readFile(binPath(id));
+                return { buf, mime: meta.mime, ts: meta.ts, size: buf.length };
+            } catch {
+                index.remove(id);
+                return null;
+            }
+        },
+        async delete(id) {
+            if (!isValidMediaId(id)) return;
+            index.remove(id);
+            unlink(id);
+        },
+        async sweep() {
+            index.sweep();
+        },
+        stats() {
+            return { backend: 'fs', dir, items: index.entries.size, bytes: index.bytes, maxBytes };
+        },
+    };
+}
+
+const BACKENDS = {
+    memory: createMemoryStore,
+    fs: createFsStore,
+};
+
+export function createMediaStore(config = mediaConfig()) {
+    const factory = BACKENDS[config.backend];
+    if (!factory) {
+        throw new Error(`Unknown MEDIA_STORE "${config.backend}" (use: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return factory(config);
+}
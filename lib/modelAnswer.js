@@ -0,0 +1,136 @@
+// lib/modelAnswer.js
+// 질문 + 목표 레벨별 모범 답안 생성 (질문/레벨당 한 번만 생성해서 캐시)
+import crypto from 'crypto';
+
+export const MODEL_ANSWER_LEVELS = ['IM2', 'IH', 'AL'];
+const SECTION_PARTS = ['intro', 'body', 'conclusion'];
+
+// 레벨별 분량/난이도 가이드
+const LEVEL_GUIDE = {
+    IM2: '80~120단어, 짧고 쉬운 문장 위주, 기본 시제 정확히, 필러는 1~2개',
+    IH: '130~180단어, 접속사로 문장 연결, 과거 경험 에피소드 1개, 자연스러운 필러 2~3개',
+    AL: '180~240단어, 다양한 시제와 복문, 구체적인 과거 스토리텔링 + 비교/의견, 자연스러운 필러와 자기 수정',
+};
+
+function textHash(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+}
+
+export function buildModelAnswerPrompt({ question, level }) {
+    return `
+당신은 OPIc 스피킹 코치입니다. 아래 질문에 대해 ${level} 등급 수험생이 실제로 말할 법한 영어 모범 답안을 만들어 주세요.
+
+레벨 가이드: ${LEVEL_GUIDE[level]}
+
+출력 형식: 반드시 JSON 객체만 반환하세요.
+
+{
+  "answer": "말하듯 자연스러운 영어 답안 전체 (TTS로 그대로 읽을 수 있게)",
+  "sections": [
+    { "part": "intro" | "body" | "conclusion", "text": "답안 중 해당 부분 원문" }
+  ],
+  "techniques": [
+    { "type": "filler" | "past_tense" | "connector" | "opinion" | "comparison", "example": "답안 속 예시", "note": "한국어 설명" }
+  ],
+  "expressions": [
+    { "expression": "핵심 영어 표현", "gloss": "한국어 뜻", "tip": "한국어 활용 팁 (선택)" }
+  ]
+}
+
+주의:
+- sections는 intro → body → conclusion 순서로, 합치면 answer와 같아야 합니다.
+- expressions는 5~8개, gloss는 반드시 한국어로 작성하세요.
+
+질문: """${question.text}"""
+`;
+}
+
+// 모델 응답 정리: 누락 필드는 빈 배열, 알 수 없는 part 제거
+export function normalizeModelAnswer(raw) {
+    if (!raw || typeof raw.answer !== 'string' || !raw.answer.trim()) return null;
+    const arr = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === 'object') : []);
+    return {
+        answer: raw.answer.trim(),
+        sections: arr(raw.sections)
+            .filter((s) => SECTION_PARTS.includes(s.part) && typeof s.text === 'string')
+            .map(({ part, text }) => ({ part, text })),
+        techniques: arr(raw.techniques).map(({ type, example, note }) => ({
+            type: String(type || 'other'),
+            example: String(example || ''),
+            note: String(note || ''),
+        })),
+        expressions: arr(raw.expressions)
+            .filter((e) => e.expression && e.gloss)
+            .map(({ expression, gloss, tip }) => ({
+                expression: String(expression),
+                gloss: String(gloss),
+                ...(tip ? { tip: String(tip) } : {}),
+            })),
+    };
+}
+
+export class ModelAnswerError extends Error {
+    constructor(code, rawContent) {
+        super(code);
+        this.code = code;
+        this.rawContent = rawContent;
+    }
+}
+
+export function createModelAnswers({ llm, db }) {
+    const cache = db.collection('modelAnswers');
+    const inflight = new Map();
+
+    async function generate(question, level) {
+        const { content } = await llm.chatJson({
+            messages: [
+                { role: 'system', content: 'You are an OPIc speaking coach who writes natural model answers.' },
+                { role: 'user', content: buildModelAnswerPrompt({ question, level }) },
+            ],
+            temperature: 0.6,
+            purpose: 'modelAnswer',
+        });
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch {
+            throw new ModelAnswerError('invalid_model_answer_json', content);
+        }
+        const normalized = normalizeModelAnswer(parsed);
+        if (!normalized) throw new ModelAnswerError('invalid_model_answer', content);
+        return normalized;
+    }
+
+    // 질문 텍스트가 바뀌면 해시가 달라져서 새로 생성
+    async function cached(question, level) {
+        const hash = textHash(question.text);
+        const [hit] = await cache.find(
+            (c) => c.questionId === question.id && c.level === level && c.textHash === hash
+        );
+        return hit || null;
+    }
+
+    async function get(question, level) {
+        const hit = await cached(question, level);
+        if (hit) return { ...hit, cached: true };
+
+        const hash = textHash(question.text);
+
+        const key = `${question.id}:${level}:${hash}`;
+        if (!inflight.has(key)) {
+            inflight.set(key, (async () => {
+                const result = await generate(question, level);
+                return cache.insert({
+                    questionId: question.id,
+                    level,
+                    textHash: hash,
+                    model: llm.models.chat,
+                    ...result,
+                });
+            })().finally(() => inflight.delete(key)));
+        }
+        return { ...(await inflight.get(key)), cached: false };
+    }
+
+    return { cached, get };
+}
@@ -0,0 +1,248 @@
+// lib/pronunciation.js
+// 답변 음성(STT 단어 + 타임스탬프 + 신뢰도) → 발음 리포트
+//
+// - expectedText(읽기/쉐도잉 대본 등)가 있으면 단어 단위로 정렬해서
+//   다르게 들린 단어(substituted) / 빠진 단어(dropped) 를 찾음
+// - STT 신뢰도(confidence)가 낮은 단어는 대본이 없어도 low_confidence 로 표시
+//   단어 신뢰도가 하나도 없고 대본도 없으면 평가하지 않음 (mode 'unavailable', reason 'no_confidence')
+//   → OpenAI STT 는 단어 신뢰도를 주지 않으므로 expectedText 가 있어야 표시할 수 있음
+// - 한국어 화자에게 흔한 실수(r/l, f/p, v/b, th, 받침 자음)별 팁을 붙임
+// 모델 호출 없이 계산 → 같은 입력이면 항상 같은 결과
+import { tokenize } from './fluency.js';
+
+export const LOW_CONFIDENCE = 0.6;
+const MAX_WORDS = 400; // 정렬 표 크기 제한 (2분 답변 ≈ 250단어)
+const MAX_FLAGGED = 30;
+// 빠져도 발음 문제라기보다 문법/말버릇인 경우가 많은 기능어
+const FUNCTION_WORDS = new Set(['a', 'an', 'the', 'to', 'of', 'and', 'i', 'uh', 'um']);
+
+export const PRONUNCIATION_TIPS = {
+    r_l: {
+        label: { ko: 'r / l 구분', en: 'r vs. l', ja: 'r と l の区別' },
+        tip: {
+            ko: 'r 은 혀끝을 입천장에 닿지 않게 뒤로 말고, l 은 혀끝을 윗니 뒤 잇몸에 붙였다 떼세요.',
+            en: 'For r, curl the tongue back without touching the roof of the mouth; for l, press the tongue tip behind the upper teeth.',
+            ja: 'r は舌先をどこにも付けずに後ろへ丸め、l は舌先を上の歯の裏の歯茎に付けて発音しましょう。',
+        },
+    },
+    f_p: {
+        label: { ko: 'f / p 구분', en: 'f vs. p', ja: 'f と p の区別' },
+        tip: {
+            ko: 'f 는 윗니를 아랫입술에 가볍게 대고 바람을 내보내세요. 두 입술을 붙이면 p(ㅍ)로 들립니다.',
+            en: 'For f, rest the upper teeth on the lower lip and push air through; closing both lips turns it into p.',
+            ja: 'f は上の歯を下唇に軽く当てて息を出します。両唇を閉じると p に聞こえます。',
+        },
+    },
+    v_b: {
+        label: { ko: 'v / b 구분', en: 'v vs. b', ja: 'v と b の区別' },
+        tip: {
+            ko: 'v 는 f 와 같은 입 모양에 목소리를 더하세요. 두 입술을 붙이면 b(ㅂ)로 들립니다.',
+            en: 'Make v like f but add voice; closing both lips turns it into b.',
+            ja: 'v は f と同じ口の形で声を出します。両唇を閉じると b に聞こえます。',
+        },
+    },
+    th: {
+        label: { ko: 'th 발음', en: 'th sounds', ja: 'th の発音' },
+        tip: {
+            ko: 'th 는 혀끝을 윗니와 아랫니 사이에 살짝 내밀고 소리 내세요. ㅅ/ㄷ 으로 바꾸지 마세요.',
+            en: 'For th, put the tongue tip lightly between the teeth instead of saying s or d.',
+            ja: 'th は舌先を上下の歯の間に軽く出して発音し、s や d に置き換えないようにしましょう。',
+        },
+    },
+    final_consonant: {
+        label: { ko: '끝 자음(받침)', en: 'Final consonants', ja: '語末の子音' },
+        tip: {
+            ko: '단어 끝 자음(d, t, k, s 등)을 삼키지 말고, "으" 모음을 붙이지도 마세요 (book → 부크 X).',
+            en: 'Release final consonants such as d, t, k and s clearly without adding an extra vowel (book, not "booku").',
+            ja: '語末の子音(d, t, k, s など)を飲み込まず、母音を足さないようにしましょう(book を「ブック」にしない)。',
+        },
+    },
+};
+
+const TIP_ORDER = Object.keys(PRONUNCIATION_TIPS);
+
+// 한 쪽을 다른 쪽 소리로 바꿨을 때 같아지면 그 팁
+const SWAPS = {
+    r_l: (w) => w.replace(/r/g, 'l'),
+    f_p: (w) => w.replace(/ph/g, 'p').replace(/f/g, 'p'),
+    v_b: (w) => w.replace(/v/g, 'b'),
+    th: (w) => w.replace(/th/g, 's').replace(/[dtz]/g, 's'),
+};
+
+const FINAL_CONSONANT_RE = /[bcdfgkpstvxz]$|[^aeiouy][^aeiouy]$/;
+
+// 대본 단어 expected 가 heard 로 들렸을 때 원인 추정
+function tipsForSubstitution(expected, heard) {
+    const tips = Object.entries(SWAPS)
+        .filter(([id, swap]) => (id !== 'th' || expected.includes('th')) && swap(expected) === swap(heard))
+        .map(([id]) => id);
+    // 끝 자음을 흘렸거나 (card → car) 모음을 붙인 경우 (book → booku)
+    if (FINAL_CONSONANT_RE.test(expected)) {
+        const dropped = heard.length >= 2 && expected.startsWith(heard) && /^[^aeiouy]+$/.test(expected.slice(heard.length));
+        const epenthesis = heard.startsWith(expected) && /^[aeiou]+$/.test(heard.slice(expected.length));
+        if (dropped || epenthesis) tips.push('final_consonant');
+    }
+    return tips;
+}
+
+// 무엇으로 들렸는지 모를 때(빠짐 / 낮은 신뢰도)는 철자로 가능성 있는 팁
+function tipsForWord(word) {
+    const tips = [];
+    if (/th/.test(word)) tips.push('th');
+    if (/f|ph/.test(word)) tips.push('f_p');
+    if (/v/.test(word)) tips.push('v_b');
+    if (/r/.test(word) && /l/.test(word)) tips.push('r_l');
+    else if (/(^|[^aeiou])[rl]/.test(word)) tips.push('r_l');
+    if (word.length > 2 && FINAL_CONSONANT_RE.test(word)) tips.push('final_consonant');
+    return tips;
+}
+
+// STT words → 토큰 단위 (한 단어가 여러 토큰이면 같은 타이밍 공유)
+function spokenTokens({ text, words }) {
+    if (Array.isArray(words) && words.length) {
+        return words.flatMap((w) => tokenize(w.word).map((token) => ({
+            token,
+            start: Number.isFinite(w.start) ? w.start : null,
+            end: Number.isFinite(w.end) ? w.end : null,
+            confidence: Number.isFinite(w.confidence) ? w.confidence : null,
+        })));
+    }
+    return tokenize(text).map((token) => ({ token, start: null, end: null, confidence: null }));
+}
+
+/**
+ * 단어 단위 편집 거리 정렬
+ * @returns {Array<{ op: 'match'|'substitute'|'drop'|'insert', e?: number, s?: number }>}
+ */
+export function alignWords(expected, spoken) {
+    const n = expected.length;
+    const m = spoken.length;
+    const d = Array.from({ length: n + 1 }, (_, i) => {
+        const row = new Array(m + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 1; j <= m; j++) d[0][j] = j;
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const sub = d[i - 1][j - 1] + (expected[i - 1] === spoken[j - 1] ? 0 : 1);
+            d[i][j] = Math.min(sub, d[i - 1][j] + 1, d[i][j - 1] + 1);
+        }
+    }
+
+    const ops = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (expected[i - 1] === spoken[j - 1] ? 0 : 1)) {
+            ops.push({ op: expected[i - 1] === spoken[j - 1] ? 'match' : 'substitute', e: i - 1, s: j - 1 });
+            i -= 1;
+            j -= 1;
+        } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+            ops.push({ op: 'drop', e: i - 1 });
+            i -= 1;
+        } else {
+            ops.push({ op: 'insert', s: j - 1 });
+            j -= 1;
+        }
+    }
+    return ops.reverse();
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {{ text?: string, words?: Array<{word,start,end,confidence?}>, expectedText?: string, language?: string }} input
+ * mode: 'reference'(대본과 비교) | 'confidence'(STT 신뢰도) | 'unavailable'(둘 다 없음 → reason 'no_confidence')
+ * @returns {{ mode, reason, expectedWords, spokenWords, matchedWords, accuracy, averageConfidence, lowConfidenceWords, flagged, tips }}
+ */
+export function assessPronunciation({ text = '', words = [], expectedText = null, language = 'ko' } = {}) {
+    const spoken = spokenTokens({ text, words }).slice(0, MAX_WORDS);
+    const expected = expectedText ? tokenize(expectedText).slice(0, MAX_WORDS) : null;
+    const flagged = [];
+    const flag = (item) => flagged.push({
+        word: null, heard: null, reason: null, start: null, end: null, confidence: null, tips: [], ...item,
+    });
+    const isLow = (s) => s.confidence != null && s.confidence < LOW_CONFIDENCE;
+
+    let matchedWords = null;
+    if (expected) {
+        matchedWords = 0;
+        for (const { op, e, s } of alignWords(expected, spoken.map((x) => x.token))) {
+            const sp = spoken[s];
+            if (op === 'match') {
+                matchedWords += 1;
+                if (isLow(sp)) flag({ word: sp.token, heard: sp.token, reason: 'low_confidence', ...timing(sp), tips: tipsForWord(sp.token) });
+            } else if (op === 'substitute') {
+                flag({
+                    word: expected[e],
+                    heard: sp.token,
+                    reason: 'substituted',
+                    ...timing(sp),
+                    tips: tipsForSubstitution(expected[e], sp.token),
+                });
+            } else if (op === 'drop' && !FUNCTION_WORDS.has(expected[e])) {
+                flag({ word: expected[e], reason: 'dropped', tips: tipsForWord(expected[e]) });
+            }
+        }
+    } else {
+        for (const sp of spoken) {
+            if (isLow(sp)) flag({ word: sp.token, heard: sp.token, reason: 'low_confidence', ...timing(sp), tips: tipsForWord(sp.token) });
+        }
+    }
+
+    const confidences = spoken.map((s) => s.confidence).filter((c) => c != null);
+    const mode = expected ? 'reference' : confidences.length ? 'confidence' : 'unavailable';
+    return {
+        mode,
+        reason: mode === 'unavailable' ? 'no_confidence' : null,
+        expectedWords: expected ? expected.length : null,
+        spokenWords: spoken.length,
+        matchedWords,
+        accuracy: expected?.length ? round2(matchedWords / expected.length) : null,
+        averageConfidence: confidences.length ? round2(confidences.reduce((a, c) => a + c, 0) / confidences.length) : null,
+        lowConfidenceWords: spoken.filter(isLow).length,
+        flagged: flagged.slice(0, MAX_FLAGGED),
+        tips: summarizeTips(flagged, language),
+    };
+}
+
+function timing(sp) {
+    return { start: sp.start, end: sp.end, confidence: sp.confidence };
+}
+
+// 팁별로 해당 단어를 모아 많이 나온 순서대로
+function summarizeTips(flagged, language) {
+    const byTip = new Map();
+    for (const f of flagged) {
+        for (const id of f.tips) {
+            if (!byTip.has(id)) byTip.set(id, new Set());
+            byTip.get(id).add(f.word);
+        }
+    }
+    return [...byTip.entries()]
+        .sort((a, b) => b[1].size - a[1].size || TIP_ORDER.indexOf(a[0]) - TIP_ORDER.indexOf(b[0]))
+        .map(([id, set]) => {
+            const t = PRONUNCIATION_TIPS[id];
+            return {
+                id,
+                label: t.label[language] || t.label.ko,
+                tip: t.tip[language] || t.tip.ko,
+                words: [...set].slice(0, 10),
+            };
+        });
+}
+
+// 요청 body 의 words (/api/stt?words=1 결과) 정리: 잘못된 항목은 버림
+export function normalizeWords(raw) {
+    if (!Array.isArray(raw)) return null;
+    return raw
+        .filter((w) => w && typeof w.word === 'string')
+        .slice(0, MAX_WORDS)
+        .map((w) => ({
+            word: w.word,
+            start: Number(w.start),
+            end: Number(w.end),
+            ...(w.confidence != null && Number.isFinite(Number(w.confidence)) ? { confidence: Number(w.confidence) } : {}),
+        }));
+}
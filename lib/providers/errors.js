@@ -0,0 +1,9 @@
+// lib/providers/errors.js
+export class ProviderError extends Error {
+    constructor(code, status = 500, upstreamBody = null) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.upstreamBody = upstreamBody;
+    }
+}
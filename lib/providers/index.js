@@ -0,0 +1,52 @@
+// lib/providers/index.js
+// LLM/음성 프로바이더 선택 (LLM_PROVIDER=openai | mock)
+//
+// 공통 인터페이스
+//   chat({ messages, temperature, model, signal })     → { content }
+//   chatJson({ messages, temperature, purpose })       → { content }  (JSON 문자열)
+//   chatStream({ messages, temperature, json, purpose, signal })
+//                                                     → AsyncIterable<string> (토큰 조각)
+//   synthesize({ text, voice, format })                → { buf, mime, model, voice }
+//   transcribe({ buffer, filename, mimetype, timestamps })
+//                                                     → { text, words?: [{ word, start, end, confidence? }], duration? }
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+export { ProviderError } from './errors.js';
+
+const FACTORIES = {
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+// 스트리밍 결과를 모으면서 조각마다 onToken 호출
+export async function streamText(llm, opts, onToken = () => {}) {
+    let text = '';
+    for await (const delta of llm.chatStream(opts)) {
+        text += delta;
+        onToken(delta, text);
+    }
+    return text;
+}
+
+export function providerConfig(env = process.env) {
+    return {
+        provider: (env.LLM_PROVIDER || 'openai').toLowerCase(),
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        chatModel: env.CHAT_MODEL || 'gpt-4o-mini',
+        ttsModel: env.TTS_MODEL || 'gpt-4o-mini-tts',
+        sttModel: env.STT_MODEL || 'gpt-4o-transcribe',
+        sttTimestampModel: env.STT_TIMESTAMP_MODEL || 'whisper-1',
+        sttText: env.MOCK_STT_TEXT,
+        sttFixture: env.MOCK_STT_FIXTURE,
+    };
+}
+
+export function createProvider(config = providerConfig()) {
+    const factory = FACTORIES[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (use: ${Object.keys(FACTORIES).join(', ')})`);
+    }
+    return factory(config);
+}
@@ -0,0 +1,147 @@
+// lib/providers/mock.js
+// 네트워크/API 키 없이 쓰는 결정적(deterministic) 로컬 프로바이더
+import crypto from 'crypto';
+import fs from 'fs';
+
+function digest(text) {
+    return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function lastUserContent(messages = []) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user') return String(messages[i].content ?? '');
+    }
+    return '';
+}
+
+// 교정 모드용: 답변 속 "I go" 만 과거형으로 고친다
+function mockCorrections(content) {
+    // 프롬프트의 두 번째 """...""" 블록이 답변 (첫 번째는 질문)
+    const answer = [...content.matchAll(/"""([\s\S]*?)"""/g)][1]?.[1] || '';
+    return (answer.match(/[^.!?]+[.!?]?/g) || [])
+        .map((sentence) => sentence.trim())
+        .filter((sentence) => /\bI go\b/.test(sentence))
+        .map((original) => ({
+            original,
+            corrected: original.replace(/\bI go\b/g, 'I went'),
+            category: 'tense',
+            explanation: '[mock] 지난 일이므로 과거형을 써야 합니다.',
+        }));
+}
+
+// purpose별 JSON 응답 생성기 (호출부에서 purpose 힌트를 넘김)
+const JSON_FIXTURES = {
+    review(content) {
+        const h = digest(content);
+        const pick = (i) => 2 + (h[i] % 3); // 2~4
+        const criteriaScores = {
+            fluency: pick(0),
+            grammar: pick(1),
+            vocab: pick(2),
+            taskAchievement: pick(3),
+        };
+        const score = Math.round(
+            Object.values(criteriaScores).reduce((s, n) => s + n, 0) / 4
+        );
+        return {
+            fluency: '[mock] 유창성 피드백입니다.',
+            grammar: '[mock] 문법 피드백입니다.',
+            vocab: '[mock] 어휘 피드백입니다.',
+            taskAchievement: '[mock] 내용 충실도 피드백입니다.',
+            criteriaScores,
+            score,
+            overallFeedback: '[mock] 로컬 목(mock) 프로바이더가 만든 총평입니다.',
+            recommendedLevel: ['IM1', 'IM1', 'IM2', 'IH', 'AL'][score - 1],
+            ...(content.includes('"corrections"') ? { corrections: mockCorrections(content) } : {}),
+        };
+    },
+    modelAnswer() {
+        const intro = 'Well, let me tell you about that.';
+        const body = 'Last year I tried it for the first time, and honestly, it was a lot of fun.';
+        const conclusion = "So yeah, that's pretty much it.";
+        return {
+            answer: `${intro} ${body} ${conclusion}`,
+            sections: [
+                { part: 'intro', text: intro },
+                { part: 'body', text: body },
+                { part: 'conclusion', text: conclusion },
+            ],
+            techniques: [
+                { type: 'filler', example: 'Well,', note: '[mock] 답변 시작 필러' },
+                { type: 'past_tense', example: 'I tried it', note: '[mock] 과거 경험 스토리텔링' },
+            ],
+            expressions: [
+                { expression: 'for the first time', gloss: '처음으로' },
+                { expression: "that's pretty much it", gloss: '대충 그 정도예요' },
+            ],
+        };
+    },
+};
+
+// 무음 MPEG-1 Layer III 프레임 (128kbps / 44.1kHz, 417 bytes)
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(413)]);
+
+export function createMockProvider(config = {}) {
+    async function chat({ messages }) {
+        const content = lastUserContent(messages);
+        const tag = digest(content).toString('hex').slice(0, 8);
+        return { content: `[mock:${tag}] ${content.slice(0, 200)}` };
+    }
+
+    async function chatJson({ messages, purpose }) {
+        const content = lastUserContent(messages);
+        const make = JSON_FIXTURES[purpose];
+        return { content: JSON.stringify(make ? make(content) : {}) };
+    }
+
+    return {
+        name: 'mock',
+        models: { chat: 'mock-chat', tts: 'mock-tts', stt: 'mock-stt', sttTimestamps: 'mock-stt' },
+
+        chat,
+
+        chatJson,
+
+        // chat/chatJson 결과를 몇 조각으로 나눠 흘려보냄
+        async* chatStream({ messages, json = false, purpose, signal }) {
+            const { content } = json ? await chatJson({ messages, purpose }) : await chat({ messages });
+            const size = Math.max(1, Math.ceil(content.length / 4));
+            for (let i = 0; i < content.length; i += size) {
+                await new Promise((resolve) => setImmediate(resolve));
+                if (signal?.aborted) throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+                yield content.slice(i, i + size);
+            }
+        },
+
+        async synthesize({ text, voice, format = 'mp3' }) {
+            // 글자 수에 비례한 길이의 무음 mp3
+            const frames = Math.max(1, Math.min(400, Math.ceil(String(text).length / 2)));
+            const buf = Buffer.concat(Array.from({ length: frames }, () => SILENT_FRAME));
+            return { buf, mime: 'audio/mpeg', model: 'mock-tts', voice, format };
+        },
+
+        // MOCK_STT_FIXTURE=<json 경로> 면 그 파일의 { text, words, duration } 을 그대로 (발음 평가 재현용)
+        async transcribe({ buffer, timestamps = false }) {
+            if (config.sttFixture) {
+                const fixture = JSON.parse(fs.readFileSync(config.sttFixture, 'utf-8'));
+                if (!timestamps) return { text: fixture.text };
+                return { text: fixture.text, words: fixture.words || [], duration: fixture.duration };
+            }
+            const tag = digest(buffer || '').toString('hex').slice(0, 8);
+            const text = config.sttText || `This is a mock transcript ${tag}.`;
+            if (!timestamps) return { text };
+
+            // 단어당 0.35초 + 8단어마다 0.9초 쉼
+            let t = 0.3;
+            const words = text.split(/\s+/).filter(Boolean).map((w, i) => {
+                if (i > 0 && i % 8 === 0) t += 0.9;
+                const word = { word: w.replace(/[^\w'-]/g, ''), start: round2(t), end: round2(t + 0.3) };
+                t += 0.35;
+                return word;
+            });
+            return { text, words, duration: round2(t + 0.3) };
+        },
+    };
+}
@@ -0,0 +1,107 @@
+// lib/providers/openai.js
+// OpenAI (또는 OpenAI 호환 로컬 서버) 프로바이더
+import { OpenAI } from 'openai';
+import fetch from 'node-fetch';
+import { ProviderError } from './errors.js';
+
+export function createOpenAIProvider(config) {
+    const baseURL = config.baseURL || undefined;
+    // 로컬 호환 서버는 키가 필요 없는 경우가 많아 placeholder 허용
+    const apiKey = config.apiKey || (baseURL ? 'local' : undefined);
+    const client = new OpenAI({ apiKey, baseURL });
+    const apiBase = (baseURL || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+    async function chat({ messages, temperature = 0.7, model, json = false, signal }) {
+        const completion = await client.chat.completions.create(
+            {
+                model: model || config.chatModel,
+                messages,
+                temperature,
+                ...(json ? { response_format: { type: 'json_object' } } : {}),
+            },
+            signal ? { signal } : undefined
+        );
+        return { content: completion.choices?.[0]?.message?.content ?? '' };
+    }
+
+    // 토큰 단위 스트리밍 (signal abort 시 업스트림 요청도 취소)
+    async function* chatStream({ messages, temperature = 0.7, model, json = false, signal }) {
+        const stream = await client.chat.completions.create(
+            {
+                model: model || config.chatModel,
+                messages,
+                temperature,
+                stream: true,
+                ...(json ? { response_format: { type: 'json_object' } } : {}),
+            },
+            signal ? { signal } : undefined
+        );
+        for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) yield delta;
+        }
+    }
+
+    return {
+        name: baseURL ? 'openai-compatible' : 'openai',
+        models: {
+            chat: config.chatModel,
+            tts: config.ttsModel,
+            stt: config.sttModel,
+            sttTimestamps: config.sttTimestampModel,
+        },
+
+        chat,
+
+        chatJson(opts) {
+            return chat({ ...opts, json: true });
+        },
+
+        chatStream,
+
+        async synthesize({ text, voice, format = 'mp3' }) {
+            const speech = await client.audio.speech.create({
+                model: config.ttsModel,
+                voice,
+                input: text,
+                format,
+            });
+            const buf = Buffer.from(await speech.arrayBuffer());
+            return { buf, mime: 'audio/mpeg', model: config.ttsModel, voice };
+        },
+
+        // timestamps=true면 단어 단위 타임스탬프 (gpt-4o-transcribe 미지원 → whisper 계열 모델 사용)
+        async transcribe({ buffer, filename = 'recording.webm', mimetype = 'audio/webm', timestamps = false }) {
+            if (!config.apiKey && !baseURL) throw new ProviderError('openai_api_key_missing', 500);
+
+            // ✅ Node.js 18+ 내장 FormData/File 사용
+            const form = new FormData();
+            form.append('model', timestamps ? config.sttTimestampModel : config.sttModel);
+            form.append('file', new File([buffer], filename, { type: mimetype }));
+            if (timestamps) {
+                form.append('response_format', 'verbose_json');
+                form.append('timestamp_granularities[]', 'word');
+            }
+
+            const r = await fetch(`${apiBase}/audio/transcriptions`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${apiKey}` },
+                body: form,
+            });
+
+            const ct = r.headers.get('content-type') || '';
+            const raw = await r.text().catch(() => '');
+            if (!r.ok) throw new ProviderError('upstream_error', r.status, raw);
+            const j = ct.includes('application/json') ? JSON.parse(raw) : { text: raw };
+            if (!timestamps) return { text: j.text || '' };
+            // OpenAI 는 단어별 신뢰도를 주지 않음 → confidence 없이 (구간 avg_logprob 을 단어마다 붙이면
+            // 같은 구간의 멀쩡한 단어까지 low_confidence 로 표시됨)
+            // 그래서 발음 리포트는 expectedText 가 있어야 단어를 표시하고, 없으면 mode 'unavailable'
+            return {
+                text: j.text || '',
+                duration: j.duration,
+                words: (j.words || []).map(({ word, start, end }) => ({ word, start, end })),
+            };
+        },
+    };
+}
@@ -0,0 +1,286 @@
+// lib/questionBank.js
+// 관리자용 질문 은행 편집: 생성 / 수정 / 은퇴(retire) / 복원 / 순서 변경
+//
+// - 편집본은 DB 'questionBank' 컬렉션에 통째로 저장 (questions.json 은 git 이 관리하는 초기값이라 건드리지 않음
+//   → 재배포해도 편집이 유지됨), 서버 / 스크립트는 시작할 때 loadQuestionOverlay 로 불러옴
+// - 쓰기는 한 번에 하나씩, 변경마다 'questionVersions' 컬렉션에 before/after 를 남김 (version 1, 2, 3 ...)
+//   기록을 먼저 넣고 편집본을 저장 — 저장이 실패하면 기록을 지움
+// - 텍스트가 바뀐 문항은 DB 'videoRegenerations' 에 표시 → video-pipeline 이 talk 를 pending(regenerate) 로 돌려 다시 만듦
+//   (talks-result.json 은 video-pipeline 만 씀, 서버는 표시를 보고 영상을 stale 로 알림)
+import { COMBO_STEPS, QUESTION_TYPES, ROLEPLAY_TASKS, loadQuestions, setQuestions } from './questions.js';
+import { getTalk, transition } from './talks.js';
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/; // 영상 파일명(videos/<id>.mp4)으로도 쓰임
+const TOPIC_RE = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_TEXT_LENGTH = 1000;
+const EDITABLE_FIELDS = ['type', 'topic', 'text', 'combo', 'roleplay'];
+const BANK_DOC_ID = 'current';
+
+export class QuestionBankError extends Error {
+    constructor(code, status = 400, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * @returns {string[]} 문제 목록 (비어 있으면 통과)
+ */
+export function validateQuestion(q, { questions = [], isNew = false } = {}) {
+    const problems = [];
+    if (!ID_RE.test(String(q.id ?? ''))) problems.push('id:invalid');
+    else if (isNew && questions.some((x) => x.id === q.id)) problems.push('id:duplicate');
+    if (!QUESTION_TYPES.includes(q.type)) problems.push('type:unknown');
+    if (!TOPIC_RE.test(String(q.topic ?? ''))) problems.push('topic:invalid');
+    const text = typeof q.text === 'string' ? q.text.trim() : '';
+    if (!text) problems.push('text:empty');
+    else if (text.length > MAX_TEXT_LENGTH) problems.push('text:too_long');
+
+    // combo: 롤플레이는 set 만 (11~13번 순서는 roleplay.task), 나머지는 set + step
+    if (q.combo != null) {
+        if (typeof q.combo !== 'object' || !ID_RE.test(String(q.combo.set ?? ''))) problems.push('combo.set:invalid');
+        if (q.type !== 'roleplay' && !COMBO_STEPS.includes(q.combo.step)) problems.push('combo.step:unknown');
+    }
+    if (q.type === 'roleplay') {
+        const rp = q.roleplay || {};
+        for (const k of ['scenario', 'expected']) {
+            const v = typeof rp[k] === 'string' ? rp[k].trim() : '';
+            if (!v) problems.push(`roleplay.${k}:empty`);
+            else if (v.length > MAX_TEXT_LENGTH) problems.push(`roleplay.${k}:too_long`);
+        }
+        if (!ROLEPLAY_TASKS.includes(rp.task)) problems.push('roleplay.task:unknown');
+    } else if (q.roleplay != null) {
+        problems.push('roleplay:not_allowed');
+    }
+    return problems;
+}
+
+// combo / roleplay 에 null 을 주면 필드 삭제
+function dropNulls(q) {
+    for (const k of ['combo', 'roleplay']) if (q[k] === null) delete q[k];
+    return q;
+}
+
+function pick(obj, fields) {
+    return Object.fromEntries(fields.filter((k) => obj[k] !== undefined).map((k) => [k, obj[k]]));
+}
+
+// 텍스트가 바뀐 영상 → talks 맵에서 다시 만들 대상으로 (생성 중인 talk 는 해시 비교로 stale 판정됨)
+// @returns 바뀐 뒤의 talk 상태
+export function markForRegeneration(talks, id) {
+    const talk = getTalk(talks, id);
+    if (['done', 'downloaded', 'error', 'rejected'].includes(talk.state)) {
+        transition(talks, id, 'pending', { regenerate: true, attempts: 0, lastError: null });
+    } else if (['pending', 'retry'].includes(talk.state) && talks.has(id)) {
+        talks.set(id, { ...talk, regenerate: true });
+    } else {
+        return talk.state;
+    }
+    return 'pending';
+}
+
+/**
+ * 다시 만들 영상 표시 (DB 'videoRegenerations', 문항 id = 문서 id)
+ * 서버는 표시 후 새 영상을 받기 전까지 stale 로 보고, video-pipeline 은 talks 에 반영한 뒤 표시를 지움
+ */
+export function createRegenerationMarks(db) {
+    const marks = db.collection('videoRegenerations');
+    let byId = null; // 문항 id → 표시 (첫 load 에서 채움)
+
+    return {
+        async load() {
+            byId = new Map((await marks.find()).map((m) => [m.id, m]));
+            return [...byId.values()];
+        },
+
+        async mark(id) {
+            const markedAt = new Date().toISOString();
+            const saved = (await marks.get(id))
+                ? await marks.update(id, { markedAt })
+                : await marks.insert({ id, markedAt });
+            byId?.set(id, saved);
+            return saved;
+        },
+
+        // 표시 뒤에 영상을 새로 받았으면 (downloadedAt) 더 이상 다시 만들 대상이 아님
+        pending(id, talk) {
+            const m = byId?.get(id);
+            return Boolean(m && !(talk?.downloadedAt > m.markedAt));
+        },
+
+        async clear(ids) {
+            for (const id of ids) {
+                await marks.remove(id);
+                byId?.delete(id);
+            }
+        },
+    };
+}
+
+// DB 에 편집본이 있으면 loadQuestions 가 그것을 쓰도록 (없으면 questions.json 그대로)
+export async function loadQuestionOverlay(db) {
+    const doc = await db.collection('questionBank').get(BANK_DOC_ID);
+    if (doc) setQuestions(doc.questions);
+    return Boolean(doc);
+}
+
+export function createQuestionBank({ db, regenerations = createRegenerationMarks(db) } = {}) {
+    const bank = db.collection('questionBank');
+    const versions = db.collection('questionVersions');
+    let queue = Promise.resolve();
+    let version = null;
+
+    // 쓰기 직렬화: 앞선 변경이 끝난 뒤에 다음 변경을 읽고 씀
+    function serialize(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function nextVersion() {
+        if (version == null) {
+            version = (await versions.find()).reduce((max, v) => Math.max(max, v.version || 0), 0);
+        }
+        version += 1;
+        return version;
+    }
+
+    async function saveQuestions(list) {
+        const saved = (await bank.get(BANK_DOC_ID))
+            ? await bank.update(BANK_DOC_ID, { questions: list })
+            : await bank.insert({ id: BANK_DOC_ID, questions: list });
+        setQuestions(saved.questions);
+    }
+
+    async function commit({ action, list, before, after, actor }) {
+        const change = await versions.insert({
+            version: await nextVersion(),
+            action,
+            questionIds: [...new Set([...before, ...after].map((q) => q.id).filter(Boolean))],
+            before,
+            after,
+            actor: actor || null,
+        });
+        try {
+            await saveQuestions(list);
+        } catch (e) {
+            version = null; // 다음 변경 때 남은 기록에서 다시 계산
+            await versions.remove(change.id).catch((err) => console.error('[QUESTION VERSION ROLLBACK ERROR]', err));
+            throw e;
+        }
+        return change;
+    }
+
+    // 캐시 배열을 직접 고치지 않도록 복사본으로 작업
+    const current = () => [...loadQuestions({ reload: true, includeRetired: true })];
+
+    function requireIndex(list, id) {
+        const index = list.findIndex((q) => q.id === id);
+        if (index === -1) throw new QuestionBankError('question_not_found', 404, { id });
+        return index;
+    }
+
+    return {
+        list() {
+            return current();
+        },
+
+        create(input, { actor } = {}) {
+            return serialize(async () => {
+                const list = current();
+                const q = dropNulls({ id: input?.id, ...pick(input || {}, EDITABLE_FIELDS) });
+                if (typeof q.text === 'string') q.text = q.text.trim();
+                const problems = validateQuestion(q, { questions: list, isNew: true });
+                if (problems.length) {
+                    const status = problems.includes('id:duplicate') ? 409 : 400;
+                    throw new QuestionBankError('invalid_question', status, { problems });
+                }
+                // position 을 주면 그 자리에, 아니면 맨 뒤
+                const at = Number.isInteger(input?.position) ? Math.min(Math.max(input.position, 0), list.length) : list.length;
+                list.splice(at, 0, q);
+                const change = await commit({ action: 'create', list, before: [], after: [q], actor });
+                return { question: q, version: change.version };
+            });
+        },
+
+        update(id, patch, { actor } = {}) {
+            return serialize(async () => {
+                const list = current();
+                const index = requireIndex(list, id);
+                const before = list[index];
+                const changes = pick(patch || {}, EDITABLE_FIELDS);
+                if (typeof changes.text === 'string') changes.text = changes.text.trim();
+                if (!Object.keys(changes).length) throw new QuestionBankError('no_changes');
+                const next = dropNulls({ ...before, ...changes });
+                const problems = validateQuestion(next);
+                if (problems.length) throw new QuestionBankError('invalid_question', 400, { problems });
+
+                list[index] = next;
+                const change = await commit({ action: 'update', list, before: [before], after: [next], actor });
+                const textChanged = next.text !== before.text;
+                if (textChanged) await regenerations.mark(id);
+                return {
+                    question: next,
+                    version: change.version,
+                    video: textChanged ? 'pending' : null,
+                };
+            });
+        },
+
+        // 은퇴: 파일에서 지우지 않고 retired 표시 (예전 기록/제출물이 계속 문항을 참조할 수 있도록)
+        setRetired(id, retired, { actor } = {}) {
+            return serialize(async () => {
+                const list = current();
+                const index = requireIndex(list, id);
+                const before = list[index];
+                if (Boolean(before.retired) === retired) {
+                    throw new QuestionBankError(retired ? 'already_retired' : 'not_retired', 409, { id });
+                }
+                const { retired: _r, retiredAt: _at, ...rest } = before;
+                const next = retired ? { ...rest, retired: true, retiredAt: new Date().toISOString() } : rest;
+                list[index] = next;
+                const change = await commit({
+                    action: retired ? 'retire' : 'restore',
+                    list,
+                    before: [before],
+                    after: [next],
+                    actor,
+                });
+                return { question: next, version: change.version };
+            });
+        },
+
+        // ids 에 적힌 문항끼리만 자리를 바꿈 (나머지 문항 위치는 그대로)
+        reorder(ids, { actor } = {}) {
+            return serialize(async () => {
+                if (!Array.isArray(ids) || !ids.length) throw new QuestionBankError('ids_required');
+                const list = current();
+                const unknown = ids.filter((id) => !list.some((q) => q.id === id));
+                if (unknown.length) throw new QuestionBankError('unknown_questions', 400, { unknown });
+                if (new Set(ids).size !== ids.length) throw new QuestionBankError('duplicate_ids');
+
+                const slots = list.map((q, i) => (ids.includes(q.id) ? i : -1)).filter((i) => i !== -1);
+                const beforeOrder = slots.map((i) => list[i].id);
+                const moved = ids.map((id) => list.find((q) => q.id === id));
+                slots.forEach((slot, k) => {
+                    list[slot] = moved[k];
+                });
+                const change = await commit({
+                    action: 'reorder',
+                    list,
+                    before: beforeOrder.map((id) => ({ id })),
+                    after: ids.map((id) => ({ id })),
+                    actor,
+                });
+                return { order: list.map((q) => q.id), version: change.version };
+            });
+        },
+
+        async history({ questionId, limit = 50 } = {}) {
+            const list = await versions.find((v) => !questionId || v.questionIds.includes(questionId));
+            return list.sort((a, b) => b.version - a.version).slice(0, limit);
+        },
+    };
+}
@@ -0,0 +1,104 @@
+// lib/questions.js
+// questions.json 질문 은행 로더 (서버 / 세션 / 스크립트 공용)
+// questions.json 은 기본 문항(seed), 관리자가 고친 편집본이 DB 에 있으면 그쪽을 사용
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT_DIR = path.join(__dirname, '..');
+export const QUESTIONS_PATH = path.join(ROOT_DIR, 'questions.json');
+export const VIDEOS_DIR = path.join(ROOT_DIR, 'videos');
+
+// 문항 스키마
+//   { id, type, topic, text,
+//     combo?:    { set, step }                         같은 set 끼리 한 콤보 (묘사 → 습관 → 경험)
+//     roleplay?: { scenario, task, expected } }        type 'roleplay' 전용: 상황 / 과제 종류 / 기대 수행
+export const QUESTION_TYPES = ['survey', 'topic', 'advanced', 'roleplay', 'unexpected'];
+export const COMBO_STEPS = ['describe', 'routine', 'past'];
+// 롤플레이 11~13번: 시험관에게 질문 3~4개 → 문제 상황 해결 → 관련 경험
+export const ROLEPLAY_TASKS = ['ask_questions', 'solve_problem', 'relate_experience'];
+
+let cache = null;
+let overlay = null; // 관리자 편집본 (lib/questionBank.js, DB 에 저장) — 있으면 questions.json 대신 사용
+
+// 은퇴(retired) 문항은 출제 대상에서 빠짐 — 예전 기록 조회용으로는 getQuestion 에서 계속 찾을 수 있음
+export function loadQuestions({ reload = false, includeRetired = false } = {}) {
+    if (overlay) {
+        cache = overlay;
+    } else if (!cache || reload) {
+        cache = JSON.parse(fs.readFileSync(QUESTIONS_PATH, 'utf-8'));
+    }
+    return includeRetired ? cache : cache.filter((q) => !q.retired);
+}
+
+// 편집본으로 교체 (null 이면 다시 questions.json)
+export function setQuestions(list) {
+    overlay = list;
+    cache = null;
+}
+
+export function getQuestion(id) {
+    return loadQuestions({ includeRetired: true }).find((q) => q.id === id) || null;
+}
+
+export function videoPath(id) {
+    return path.join(VIDEOS_DIR, `${id}.mp4`);
+}
+
+export function hasVideo(id) {
+    return fs.existsSync(videoPath(id));
+}
+
+// ✅ 클라이언트가 /api/video/:id 호출 가능 여부를 알 수 있도록 영상 정보 첨부
+export function withVideoInfo(q) {
+    const exists = hasVideo(q.id);
+    return {
+        ...q,
+        hasVideo: exists,
+        videoUrl: exists ? `/api/video/${q.id}` : null,
+    };
+}
+
+export function filterQuestions({ type, topic } = {}) {
+    return loadQuestions().filter(
+        (q) => (!type || q.type === type) && (!topic || q.topic === topic)
+    );
+}
+
+export function listTopics() {
+    return [...new Set(loadQuestions().map((q) => q.topic))];
+}
+
+export function pickRandom(list, count = 1) {
+    const pool = [...list];
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, Math.max(0, count));
+}
+
+// 콤보 안에서의 순서: 롤플레이는 과제 순서, 나머지는 step 순서 (없으면 id 순)
+function comboOrder(q) {
+    if (q.type === 'roleplay') return ROLEPLAY_TASKS.indexOf(q.roleplay?.task);
+    return COMBO_STEPS.indexOf(q.combo?.step);
+}
+
+/**
+ * combo.set 이 있는 문항을 set 별로 묶어 순서대로 정렬
+ * @returns {Map<string, object[]>}
+ */
+export function comboSets(questions = loadQuestions(), { type } = {}) {
+    const sets = new Map();
+    for (const q of questions) {
+        if (!q.combo?.set || (type && q.type !== type)) continue;
+        if (!sets.has(q.combo.set)) sets.set(q.combo.set, []);
+        sets.get(q.combo.set).push(q);
+    }
+    for (const list of sets.values()) {
+        list.sort((a, b) => comboOrder(a) - comboOrder(b) || a.id.localeCompare(b.id));
+    }
+    return sets;
+}
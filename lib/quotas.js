@@ -0,0 +1,199 @@
+// lib/quotas.js
+// identity 별 rate limit (분당) + 일일 quota — 버킷(ask / review / tts / stt)마다 따로 센다
+//
+// 기본값은 env 로 조정: RATE_LIMIT_<BUCKET>_PER_MIN, QUOTA_<BUCKET>_PER_DAY  (0 = 무제한)
+// API 키 레코드의 limits: { review: { perMinute, perDay } } 가 있으면 그 값을 우선
+// 분당 카운터는 메모리, 일일 카운터는 DB('usage' 컬렉션)에 남겨 재시작해도 유지 (날짜 기준 UTC)
+// AUTH_MODE=off(모두 IP 기준 익명)에서는 기본적으로 세지 않음 — 한 NAT 뒤의 교실이 한도를 나눠 쓰지 않도록
+//   켜려면 RATE_LIMIT_WHEN_AUTH_OFF=on
+
+export const QUOTA_BUCKETS = ['ask', 'review', 'tts', 'stt'];
+
+const DEFAULT_LIMITS = {
+    ask: { perMinute: 20, perDay: 500 },
+    review: { perMinute: 10, perDay: 200 },
+    tts: { perMinute: 30, perDay: 500 },
+    stt: { perMinute: 10, perDay: 200 },
+};
+
+const MINUTE_MS = 60_000;
+
+export function quotaConfig(env = process.env) {
+    const limits = {};
+    for (const bucket of QUOTA_BUCKETS) {
+        const key = bucket.toUpperCase();
+        limits[bucket] = {
+            perMinute: Number(env[`RATE_LIMIT_${key}_PER_MIN`] ?? DEFAULT_LIMITS[bucket].perMinute),
+            perDay: Number(env[`QUOTA_${key}_PER_DAY`] ?? DEFAULT_LIMITS[bucket].perDay),
+        };
+    }
+    return { limits, whenAuthOff: (env.RATE_LIMIT_WHEN_AUTH_OFF || '').toLowerCase() === 'on' };
+}
+
+// API 키 발급 시 받은 limits 정리: 알려진 버킷 + 0 이상 정수만 남김
+export function normalizeLimits(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const limits = {};
+    for (const bucket of QUOTA_BUCKETS) {
+        const entry = {};
+        for (const k of ['perMinute', 'perDay']) {
+            const n = Number(raw[bucket]?.[k]);
+            if (Number.isInteger(n) && n >= 0) entry[k] = n;
+        }
+        if (Object.keys(entry).length) limits[bucket] = entry;
+    }
+    return Object.keys(limits).length ? limits : null;
+}
+
+export function dayKey(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now = Date.now()) {
+    const d = new Date(now);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+export class QuotaError extends Error {
+    constructor(code, details) {
+        super(code);
+        this.code = code;
+        this.status = 429;
+        this.details = details;
+    }
+}
+
+export function createQuotas({ db, config = quotaConfig() }) {
+    const usage = db.collection('usage');
+    const minutes = new Map(); // `${identity}|${bucket}` → { start, count }
+    const days = new Map(); // `${identity}|${day}` → Promise<usage doc>
+
+    function limitsFor(identity, bucket) {
+        return { ...config.limits[bucket], ...(identity.limits?.[bucket] || {}) };
+    }
+
+    // 같은 identity/날짜 문서는 하나만 (동시 요청이 insert 를 두 번 하지 않도록 Promise 캐시)
+    function dayDoc(identity, day) {
+        const key = `${identity.id}|${day}`;
+        if (!days.has(key)) {
+            days.set(key, (async () => {
+                const [found] = await usage.find((u) => u.identity === identity.id && u.day === day);
+                return found || usage.insert({
+                    identity: identity.id,
+                    kind: identity.kind,
+                    subject: identity.subject,
+                    day,
+                    counts: {},
+                });
+            })());
+            // 어제 이전 캐시는 버림
+            for (const k of days.keys()) if (!k.endsWith(`|${day}`)) days.delete(k);
+        }
+        return days.get(key);
+    }
+
+    function minuteWindow(identity, bucket, now) {
+        const key = `${identity.id}|${bucket}`;
+        let w = minutes.get(key);
+        if (!w || now - w.start >= MINUTE_MS) {
+            w = { start: now, count: 0 };
+            minutes.set(key, w);
+        }
+        return w;
+    }
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [k, w] of minutes) if (now - w.start >= MINUTE_MS) minutes.delete(k);
+    }, MINUTE_MS).unref();
+
+    return {
+        /**
+         * 버킷들을 한꺼번에 검사 후 차감 (하나라도 넘으면 아무것도 차감하지 않음)
+         * @returns {{ bucket, limit, remaining, resetAt }[]} 버킷별 남은 일일 quota
+         * @throws {QuotaError} rate_limited | quota_exceeded
+         */
+        async consume(identity, buckets) {
+            const now = Date.now();
+            const day = dayKey(now);
+            const doc = await dayDoc(identity, day);
+
+            for (const bucket of buckets) {
+                const { perMinute, perDay } = limitsFor(identity, bucket);
+                const w = minuteWindow(identity, bucket, now);
+                if (perMinute > 0 && w.count >= perMinute) {
+                    throw new QuotaError('rate_limited', {
+                        bucket,
+                        limit: perMinute,
+                        window: 'minute',
+                        resetAt: new Date(w.start + MINUTE_MS).toISOString(),
+                        retryAfterSec: Math.max(1, Math.ceil((w.start + MINUTE_MS - now) / 1000)),
+                    });
+                }
+                const used = doc.counts[bucket] || 0;
+                if (perDay > 0 && used >= perDay) {
+                    const reset = nextUtcMidnight(now);
+                    throw new QuotaError('quota_exceeded', {
+                        bucket,
+                        limit: perDay,
+                        window: 'day',
+                        resetAt: new Date(reset).toISOString(),
+                        retryAfterSec: Math.ceil((reset - now) / 1000),
+                    });
+                }
+            }
+
+            for (const bucket of buckets) {
+                minuteWindow(identity, bucket, now).count += 1;
+                doc.counts[bucket] = (doc.counts[bucket] || 0) + 1;
+            }
+            // 문서 객체를 직접 올려 두고 저장은 기다리지 않음 (카운트는 메모리가 기준)
+            usage.update(doc.id, { counts: { ...doc.counts } })
+                .catch((e) => console.error('[USAGE WRITE ERROR]', e));
+
+            return buckets.map((bucket) => {
+                const { perDay } = limitsFor(identity, bucket);
+                return {
+                    bucket,
+                    limit: perDay,
+                    remaining: perDay > 0 ? Math.max(0, perDay - doc.counts[bucket]) : null,
+                    resetAt: new Date(nextUtcMidnight(now)).toISOString(),
+                };
+            });
+        },
+
+        /**
+         * consume 한 만큼 되돌림 (요청이 검증에서 거절된 경우)
+         * @param {number} chargedAt consume 시각 — 그 사이 분/날짜 창이 바뀌었으면 지난 창은 건드리지 않음
+         */
+        async refund(identity, buckets, chargedAt) {
+            for (const bucket of buckets) {
+                const w = minutes.get(`${identity.id}|${bucket}`);
+                if (w && w.start <= chargedAt && w.count > 0) w.count -= 1;
+            }
+            if (dayKey(chargedAt) !== dayKey()) return;
+            const doc = await dayDoc(identity, dayKey(chargedAt));
+            for (const bucket of buckets) {
+                if (doc.counts[bucket] > 0) doc.counts[bucket] -= 1;
+            }
+            usage.update(doc.id, { counts: { ...doc.counts } })
+                .catch((e) => console.error('[USAGE WRITE ERROR]', e));
+        },
+
+        // 관리자용: 날짜별 identity 사용량 + 적용 한도
+        async report({ day = dayKey(), identity } = {}) {
+            const docs = await usage.find((u) => u.day === day && (!identity || u.identity === identity));
+            return docs.map((u) => ({
+                identity: u.identity,
+                kind: u.kind,
+                subject: u.subject,
+                day: u.day,
+                counts: Object.fromEntries(QUOTA_BUCKETS.map((b) => [b, u.counts?.[b] || 0])),
+                updatedAt: u.updatedAt || u.createdAt,
+            }));
+        },
+
+        limits: config.limits,
+        whenAuthOff: Boolean(config.whenAuthOff),
+    };
+}
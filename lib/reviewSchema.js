@@ -0,0 +1,130 @@
+// lib/reviewSchema.js
+// /review 결과 스키마 검증 + 복구 (score 범위, 등급 enum, 필수 필드)
+import { CRITERIA } from './scoring.js';
+
+export const REVIEW_LEVELS = ['IM1', 'IM2', 'IH', 'AL'];
+export const FEEDBACK_FIELDS = [...CRITERIA, 'overallFeedback'];
+
+// 모델이 종종 돌려주는 표기 → 허용 등급 (더 낮은 쪽으로만 맞춤)
+const LEVEL_ALIASES = {
+    IM: 'IM1',
+    IM1: 'IM1', IM2: 'IM2', IM3: 'IM2',
+    IH: 'IH',
+    AL: 'AL', AM: 'AL', AH: 'AL', S: 'AL', SUPERIOR: 'AL',
+    INTERMEDIATEMID: 'IM1',
+    INTERMEDIATEMID1: 'IM1', INTERMEDIATEMID2: 'IM2', INTERMEDIATEMID3: 'IM2',
+    INTERMEDIATEHIGH: 'IH',
+    ADVANCEDLOW: 'AL', ADVANCEDMID: 'AL', ADVANCEDHIGH: 'AL',
+};
+
+// IM1 보다 낮은 등급은 IM1 로 올려 적지 않음 → 복구 불가로 보고 재요청
+const BELOW_RANGE_LEVELS = new Set(['NL', 'NM', 'NH', 'IL', 'NOVICELOW', 'NOVICEMID', 'NOVICEHIGH', 'INTERMEDIATELOW']);
+
+const levelKey = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export function normalizeLevel(value) {
+    if (value == null) return null;
+    return LEVEL_ALIASES[levelKey(value)] || null;
+}
+
+export function isBelowRangeLevel(value) {
+    return value != null && BELOW_RANGE_LEVELS.has(levelKey(value));
+}
+
+export function levelForScore(score) {
+    if (score >= 5) return 'AL';
+    if (score >= 4) return 'IH';
+    if (score >= 3) return 'IM2';
+    return 'IM1';
+}
+
+// "4", 4.6, "4/5" 같은 값 → 1~5 정수 (불가능하면 null)
+export function coerceScore(value) {
+    let n = typeof value === 'number' ? value : parseFloat(String(value ?? '').trim());
+    if (!Number.isFinite(n)) return null;
+    n = Math.round(n);
+    return Math.min(5, Math.max(1, n));
+}
+
+/**
+ * 모델이 만든 리뷰 객체를 스키마에 맞게 고친다.
+ * @param {{ criteria?: string[] }} [options]  rubric 이 쓰는 기준만 검사 (기본: 4개 전부)
+ * @returns {{ review: object|null, repaired: boolean, repairs: string[], issues: string[] }}
+ *   issues가 비어있지 않으면 복구 불가 → 재요청 대상
+ */
+export function repairReview(raw, { criteria = CRITERIA } = {}) {
+    const repairs = [];
+    const issues = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { review: null, repaired: false, repairs, issues: ['not_an_object'] };
+    }
+
+    const review = { ...raw };
+
+    for (const field of [...criteria, 'overallFeedback']) {
+        const v = review[field];
+        if (typeof v === 'string' && v.trim()) continue;
+        if (Array.isArray(v) && v.length) {
+            review[field] = v.map(String).join(' ');
+            repairs.push(`${field}:joined`);
+        } else if (v != null && typeof v !== 'object' && String(v).trim()) {
+            review[field] = String(v);
+            repairs.push(`${field}:stringified`);
+        } else {
+            issues.push(`${field}:missing`);
+        }
+    }
+
+    const rawCriteria = review.criteriaScores && typeof review.criteriaScores === 'object'
+        ? review.criteriaScores
+        : {};
+    const criteriaScores = {};
+    for (const k of criteria) {
+        const v = coerceScore(rawCriteria[k]);
+        if (v != null && v !== rawCriteria[k]) repairs.push(`criteriaScores.${k}:coerced`);
+        criteriaScores[k] = v;
+    }
+
+    let score = coerceScore(review.score);
+    if (score == null) {
+        const known = criteria.map((k) => criteriaScores[k]).filter((v) => v != null);
+        if (known.length) {
+            score = coerceScore(known.reduce((s, n) => s + n, 0) / known.length);
+            repairs.push('score:derived');
+        } else {
+            issues.push('score:missing');
+        }
+    } else if (score !== review.score) {
+        repairs.push('score:coerced');
+    }
+    review.score = score;
+
+    for (const k of criteria) {
+        if (criteriaScores[k] == null && score != null) {
+            criteriaScores[k] = score;
+            repairs.push(`criteriaScores.${k}:filled`);
+        }
+    }
+    review.criteriaScores = criteriaScores;
+
+    const level = normalizeLevel(review.recommendedLevel);
+    if (isBelowRangeLevel(review.recommendedLevel)) {
+        issues.push('recommendedLevel:below_range');
+    } else if (level) {
+        if (level !== review.recommendedLevel) repairs.push('recommendedLevel:normalized');
+        review.recommendedLevel = level;
+    } else if (score != null) {
+        review.recommendedLevel = levelForScore(score);
+        repairs.push('recommendedLevel:derived');
+    } else {
+        issues.push('recommendedLevel:invalid');
+    }
+
+    return {
+        review: issues.length ? null : review,
+        repaired: repairs.length > 0,
+        repairs,
+        issues,
+    };
+}
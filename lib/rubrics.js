@@ -0,0 +1,233 @@
+// lib/rubrics.js
+// 버전별 채점 기준(rubric) + 리뷰 프롬프트 템플릿 로더
+//
+// rubrics/<version>/rubric.json      기준(criteria) / 등급(levels) / 점수 범위
+// rubrics/<version>/review.<lang>.txt  "=== section ===" 으로 나뉜 프롬프트 템플릿
+//   system | prompt | metrics | corrections | retry | task(선택),  {{name}} 자리에 값 치환
+// criteria[].byCategory 가 있으면 문항 유형(roleplay, unexpected ...)에 따라 기준 설명을 바꿈
+//
+// 프롬프트를 고칠 때는 기존 버전을 수정하지 말고 새 버전 폴더를 만든다
+// → 리뷰마다 rubricVersion 이 남으므로 버전 간 점수 비교 가능
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR } from './questions.js';
+import { CRITERIA } from './scoring.js';
+import { REVIEW_LEVELS } from './reviewSchema.js';
+import { ERROR_CATEGORIES } from './corrections.js';
+import { describeFluency } from './fluency.js';
+
+export const RUBRICS_DIR = path.join(ROOT_DIR, 'rubrics');
+export const FEEDBACK_LANGUAGES = ['ko', 'en', 'ja'];
+export const DEFAULT_LANGUAGE = 'ko';
+export const DEFAULT_RUBRIC_VERSION = 'v2';
+
+const TEMPLATE_SECTIONS = ['system', 'prompt', 'metrics', 'corrections', 'retry'];
+const VERSION_RE = /^[A-Za-z0-9_.-]{1,32}$/;
+
+export class RubricError extends Error {
+    constructor(code, status = 400, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// v2 < v10 이 되도록 숫자 기준 정렬
+export function listRubricVersions() {
+    if (!fs.existsSync(RUBRICS_DIR)) return [];
+    return fs.readdirSync(RUBRICS_DIR)
+        .filter((v) => VERSION_RE.test(v) && fs.existsSync(path.join(RUBRICS_DIR, v, 'rubric.json')))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+// RUBRIC_VERSION 이 없으면 고정된 기본 버전 (v2: 문항 유형별 과제 달성 기준)
+// 새 버전 폴더를 추가해도 기본 채점이 조용히 바뀌지 않도록 — 새 버전은 RUBRIC_VERSION 또는 요청의 rubricVersion 으로 opt-in,
+// 기본값을 올릴 때는 이 상수를 바꿈
+export function defaultRubricVersion(env = process.env) {
+    return env.RUBRIC_VERSION || DEFAULT_RUBRIC_VERSION;
+}
+
+export function parseTemplate(text) {
+    const sections = {};
+    let current = null;
+    for (const line of text.split(/\r?\n/)) {
+        const m = /^=== (\w+) ===$/.exec(line);
+        if (m) {
+            current = m[1];
+            sections[current] = [];
+        } else if (current) {
+            sections[current].push(line);
+        }
+    }
+    for (const k of Object.keys(sections)) sections[k] = sections[k].join('\n').trim();
+    return sections;
+}
+
+export function renderTemplate(template, vars) {
+    return template.replace(/\{\{(\w+)\}\}/g, (_, name) => (vars[name] == null ? '' : String(vars[name])));
+}
+
+// 값이 비어 있는 {{name}} 이 들어간 줄은 통째로 뺌 (예: 롤플레이가 아니면 "상황:" 줄 없음)
+function renderLines(template, vars) {
+    return template
+        .split('\n')
+        .filter((line) => [...line.matchAll(/\{\{(\w+)\}\}/g)].every(([, name]) => vars[name] != null && vars[name] !== ''))
+        .map((line) => renderTemplate(line, vars))
+        .join('\n');
+}
+
+function validateRubric(version, rubric, templates) {
+    const problems = [];
+    const keys = (rubric.criteria || []).map((c) => c.key);
+    if (!keys.length) problems.push('criteria:empty');
+    for (const k of keys) if (!CRITERIA.includes(k)) problems.push(`criteria:${k}:unknown`);
+    if (new Set(keys).size !== keys.length) problems.push('criteria:duplicate');
+    const levels = rubric.levels || [];
+    if (!levels.length) problems.push('levels:empty');
+    for (const l of levels) if (!REVIEW_LEVELS.includes(l)) problems.push(`levels:${l}:unknown`);
+    for (const [lang, sections] of Object.entries(templates)) {
+        for (const s of TEMPLATE_SECTIONS) if (!sections[s]) problems.push(`review.${lang}.txt:${s}:missing`);
+    }
+    if (!Object.keys(templates).length) problems.push('templates:none');
+    if (problems.length) {
+        throw new Error(`Invalid rubric "${version}": ${problems.join(', ')}`);
+    }
+}
+
+const cache = new Map();
+
+/**
+ * @returns {{ version, name, criteria, levels, scoreRange, categories, languages: string[], templates }}
+ */
+export function loadRubric(version) {
+    if (cache.has(version)) return cache.get(version);
+    if (!listRubricVersions().includes(version)) {
+        throw new RubricError('unknown_rubric_version', 400, {
+            rubricVersion: version,
+            available: listRubricVersions(),
+        });
+    }
+    const dir = path.join(RUBRICS_DIR, version);
+    const rubric = JSON.parse(fs.readFileSync(path.join(dir, 'rubric.json'), 'utf-8'));
+    const templates = {};
+    for (const lang of FEEDBACK_LANGUAGES) {
+        const file = path.join(dir, `review.${lang}.txt`);
+        if (fs.existsSync(file)) templates[lang] = parseTemplate(fs.readFileSync(file, 'utf-8'));
+    }
+    validateRubric(version, rubric, templates);
+
+    const loaded = {
+        version,
+        name: rubric.name || version,
+        criteria: rubric.criteria,
+        levels: rubric.levels,
+        scoreRange: rubric.scoreRange || [1, 5],
+        categories: rubric.categories || {},
+        languages: Object.keys(templates),
+        templates,
+    };
+    cache.set(version, loaded);
+    return loaded;
+}
+
+// 요청의 rubricVersion / language → 검증된 rubric + 언어
+export function resolveRubric({ version, language } = {}) {
+    const v = version ? String(version) : defaultRubricVersion();
+    if (!v) throw new RubricError('no_rubrics', 500);
+    const rubric = loadRubric(v);
+    const lang = language ? String(language).toLowerCase() : DEFAULT_LANGUAGE;
+    if (!rubric.languages.includes(lang)) {
+        throw new RubricError('unsupported_language', 400, {
+            language: lang,
+            rubricVersion: rubric.version,
+            available: rubric.languages,
+        });
+    }
+    return { rubric, language: lang };
+}
+
+export function describeRubric(rubric) {
+    return {
+        version: rubric.version,
+        name: rubric.name,
+        criteria: rubric.criteria.map((c) => c.key),
+        levels: rubric.levels,
+        scoreRange: rubric.scoreRange,
+        languages: rubric.languages,
+        categories: Object.keys(rubric.categories),
+    };
+}
+
+/**
+ * 문항 → 채점 과제 정보 (category = 문항 type, 롤플레이는 상황/기대 과제 포함)
+ * category 는 은행에 없는 문항일 때만 사용 (있는 문항의 type 을 클라이언트가 바꿀 수 없음)
+ * @returns {{ category, scenario, expected } | null}
+ */
+export function reviewTask({ question, category } = {}) {
+    const cat = question?.type || category || null;
+    if (!cat) return null;
+    return {
+        category: String(cat),
+        scenario: question?.roleplay?.scenario || null,
+        expected: question?.roleplay?.expected || null,
+    };
+}
+
+/**
+ * 리뷰 요청 메시지 생성
+ * category: rubric 이 문항 유형을 실제로 반영했을 때만 (task 섹션 또는 byCategory 기준), 아니면 null
+ * @returns {{ system: string, prompt: string, retry: (issues: string[]) => string, category: string | null }}
+ */
+export function buildReviewPrompt(
+    rubric,
+    language,
+    { questionText, answerText, targetLevel, fluencyMetrics, corrections, task = null }
+) {
+    const t = rubric.templates[language];
+    const [scoreMin, scoreMax] = rubric.scoreRange;
+    const quote = (s) => `"${s}"`;
+
+    // 음성 분석 지표가 있으면 유창성 평가에 반영
+    const metrics = describeFluency(fluencyMetrics, language);
+    let categoryUsed = Boolean(task && t.task);
+    const vars = {
+        criteriaList: rubric.criteria
+            .map((c, i) => {
+                const byCategory = c.byCategory?.[task?.category]?.[language];
+                if (byCategory) categoryUsed = true;
+                const description = byCategory || c.description[language];
+                return `${i + 1}. ${c.label[language]}: ${description}`;
+            })
+            .join('\n'),
+        feedbackFields: rubric.criteria
+            .map((c) => `  "${c.key}": "${c.feedback[language]}",`)
+            .join('\n'),
+        criteriaScores: `{ ${rubric.criteria.map((c) => `"${c.key}": ${scoreMin}-${scoreMax}`).join(', ')} }`,
+        scoreMin,
+        scoreMax,
+        levelChoices: rubric.levels.map(quote).join(' | '),
+        levelList: rubric.levels.map(quote).join(', '),
+        errorCategories: ERROR_CATEGORIES.map(quote).join(' | '),
+        questionText,
+        answerText,
+        targetLevel,
+    };
+    vars.metricsBlock = metrics ? `\n${renderTemplate(t.metrics, { ...vars, metrics })}\n` : '';
+    vars.correctionsBlock = corrections ? `\n${renderTemplate(t.corrections, vars)}\n` : '';
+    // 문항 유형별 과제 (task 섹션이 없는 예전 rubric 은 그대로)
+    vars.taskBlock = task && t.task
+        ? `${renderLines(t.task, {
+            categoryLabel: rubric.categories[task.category]?.[language] || task.category,
+            scenario: task.scenario,
+            expected: task.expected,
+        })}\n`
+        : '';
+
+    return {
+        system: t.system,
+        prompt: renderTemplate(t.prompt, vars),
+        retry: (issues) => renderTemplate(t.retry, { issues: issues.join(', ') }),
+        category: categoryUsed ? task.category : null,
+    };
+}
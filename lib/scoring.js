@@ -0,0 +1,146 @@
+// lib/scoring.js
+// 문항별 리뷰 → 최종 OPIc 등급(NL~AL) 집계기
+// ⚠️ 같은 입력이면 항상 같은 결과 (랜덤/시간 의존 없음)
+
+export const OPIC_LEVELS = ['NL', 'NM', 'NH', 'IL', 'IM1', 'IM2', 'IM3', 'IH', 'AL'];
+export const CRITERIA = ['fluency', 'grammar', 'vocab', 'taskAchievement'];
+
+const CRITERION_LABELS = {
+    fluency: '유창성',
+    grammar: '문법',
+    vocab: '어휘',
+    taskAchievement: '내용 충실도',
+};
+
+// 평균 점수(1~5) 하한선 → 등급
+const LEVEL_THRESHOLDS = [
+    [4.5, 'AL'],
+    [4.0, 'IH'],
+    [3.6, 'IM3'],
+    [3.2, 'IM2'],
+    [2.8, 'IM1'],
+    [2.4, 'IL'],
+    [2.0, 'NH'],
+    [1.5, 'NM'],
+    [0, 'NL'],
+];
+
+// 약한 영역이 있으면 그 이상 올라갈 수 없는 상한
+const WEAK_CRITERION_SCORE = 3;
+const WEAK_CRITERION_CAP = 'IM2';
+const ADVANCED_SECTION_MIN = 3.5;
+const ADVANCED_SECTION_CAP = 'IM3';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function average(nums) {
+    const valid = nums.filter((n) => Number.isFinite(n));
+    if (!valid.length) return null;
+    return round2(valid.reduce((s, n) => s + n, 0) / valid.length);
+}
+
+export function levelFromScore(score) {
+    for (const [min, level] of LEVEL_THRESHOLDS) {
+        if (score >= min) return level;
+    }
+    return 'NL';
+}
+
+function minLevel(a, b) {
+    return OPIC_LEVELS.indexOf(a) <= OPIC_LEVELS.indexOf(b) ? a : b;
+}
+
+// 리뷰 1건의 기준별 점수: criteriaScores가 없으면 전체 score로 대체
+function criterionScore(review, key) {
+    const v = Number(review?.criteriaScores?.[key]);
+    return Number.isFinite(v) ? v : Number(review?.score);
+}
+
+/**
+ * @param {Array<{ review: object, section?: string, questionId?: string } | object>} entries
+ *   세션 답변 목록 또는 리뷰 객체 배열
+ */
+export function aggregateReviews(entries = []) {
+    const items = entries
+        .map((e) => (e && e.review ? e : { review: e }))
+        .filter((e) => e.review && Number.isFinite(Number(e.review.score)));
+
+    if (!items.length) {
+        return {
+            level: null,
+            averageScore: null,
+            criteria: Object.fromEntries(CRITERIA.map((k) => [k, null])),
+            sections: {},
+            reviewed: 0,
+            limitingFactors: [],
+            explanation: '채점된 답변이 없습니다.',
+        };
+    }
+
+    const averageScore = average(items.map((e) => Number(e.review.score)));
+    const criteria = Object.fromEntries(
+        CRITERIA.map((k) => [k, average(items.map((e) => criterionScore(e.review, k)))])
+    );
+
+    const bySection = {};
+    for (const e of items) {
+        if (!e.section) continue;
+        (bySection[e.section] ||= []).push(Number(e.review.score));
+    }
+    const sections = Object.fromEntries(
+        Object.entries(bySection).map(([k, v]) => [k, average(v)])
+    );
+
+    const baseLevel = levelFromScore(averageScore);
+    let level = baseLevel;
+    const limitingFactors = [];
+
+    const weakest = CRITERIA
+        .filter((k) => criteria[k] != null)
+        .sort((a, b) => criteria[a] - criteria[b] || CRITERIA.indexOf(a) - CRITERIA.indexOf(b))[0];
+
+    for (const k of CRITERIA) {
+        if (criteria[k] != null && criteria[k] < WEAK_CRITERION_SCORE) {
+            const capped = minLevel(level, WEAK_CRITERION_CAP);
+            if (capped !== level) {
+                limitingFactors.push({ type: 'criterion', criterion: k, average: criteria[k], cap: WEAK_CRITERION_CAP });
+                level = capped;
+            }
+        }
+    }
+
+    if (sections.advanced != null && sections.advanced < ADVANCED_SECTION_MIN) {
+        const capped = minLevel(level, ADVANCED_SECTION_CAP);
+        if (capped !== level) {
+            limitingFactors.push({ type: 'section', section: 'advanced', average: sections.advanced, cap: ADVANCED_SECTION_CAP });
+            level = capped;
+        }
+    }
+
+    return {
+        level,
+        baseLevel,
+        averageScore,
+        criteria,
+        weakestCriterion: weakest || null,
+        sections,
+        reviewed: items.length,
+        limitingFactors,
+        explanation: explain({ level, averageScore, criteria, weakest, limitingFactors }),
+    };
+}
+
+function explain({ level, averageScore, criteria, weakest, limitingFactors }) {
+    const parts = [`평균 점수 ${averageScore}점으로 ${level} 등급입니다.`];
+    for (const f of limitingFactors) {
+        if (f.type === 'criterion') {
+            parts.push(`${CRITERION_LABELS[f.criterion]} 평균(${f.average})이 ${WEAK_CRITERION_SCORE}점 미만이라 ${f.cap} 이상을 받을 수 없습니다.`);
+        } else if (f.type === 'section') {
+            parts.push(`고급 문항 평균(${f.average})이 ${ADVANCED_SECTION_MIN}점 미만이라 ${f.cap}에서 제한되었습니다.`);
+        }
+    }
+    if (weakest && !limitingFactors.some((f) => f.criterion === weakest)) {
+        parts.push(`가장 약한 영역은 ${CRITERION_LABELS[weakest]}(${criteria[weakest]})입니다.`);
+    }
+    return parts.join(' ');
+}
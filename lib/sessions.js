@@ -0,0 +1,232 @@
+// lib/sessions.js
+// 모의 OPIc 시험 세션 엔진 (15문항 폼 구성 + 진행 상태 관리)
+import crypto from 'crypto';
+import { comboSets, loadQuestions, pickRandom } from './questions.js';
+import { OPIC_LEVELS, aggregateReviews } from './scoring.js';
+import { eligibleTopics, selectSurveyTopics } from './survey.js';
+
+export const FORM_SIZE = 15;
+export const COMBO_SIZE = 3;
+export const SURVEY_COMBO_COUNT = 3;
+export const ADVANCED_COUNT = 2;
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS || 1000 * 60 * 60 * 3);
+const sessions = new Map();
+
+export class SessionError extends Error {
+    constructor(code, status = 400, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// 자기소개/고급 문항을 제외한 "콤보용" 주제 목록
+export function comboTopics(questions = loadQuestions()) {
+    const counts = new Map();
+    for (const q of questions) {
+        if (q.type !== 'topic' || q.topic === 'intro') continue;
+        counts.set(q.topic, (counts.get(q.topic) || 0) + 1);
+    }
+    return [...counts].filter(([, n]) => n >= COMBO_SIZE).map(([t]) => t);
+}
+
+function comboFor(questions, topic, type = 'topic') {
+    const list = questions.filter((q) => q.type === type && q.topic === topic);
+    // combo.set 이 있으면 step 순서 (묘사 → 습관 → 경험)
+    const [set] = [...comboSets(list).values()].filter((s) => s.length >= COMBO_SIZE);
+    if (set) return set.slice(0, COMBO_SIZE);
+    // 없으면 묘사 → 습관 → 경험 순서로 적힌 id 순서를 그대로 유지
+    return list.sort((a, b) => a.id.localeCompare(b.id)).slice(0, COMBO_SIZE);
+}
+
+function pickSet(questions, type) {
+    const sets = [...comboSets(questions, { type })].filter(([, list]) => list.length >= COMBO_SIZE);
+    const [picked] = pickRandom(sets, 1);
+    return picked ? { set: picked[0], questions: picked[1].slice(0, COMBO_SIZE) } : null;
+}
+
+/**
+ * 실제 OPIc 구성을 따른 15문항 폼 생성
+ *  1      : 자기소개
+ *  2~10   : 선택한 서베이 주제 콤보 3세트 (주제당 3문항)
+ *  11~13  : 롤플레이 세트 (롤플레이 문항이 없으면 돌발(unexpected) 세트 → 서베이 밖 주제 콤보로 대체)
+ *  14~15  : 고급(advanced) 문항
+ *
+ * survey가 있으면 콤보 주제는 서베이에서 고른 주제에서만, 돌발 주제는 그 밖에서 출제
+ */
+export function buildForm({ topics = [], survey = null } = {}, questions = loadQuestions()) {
+    const available = comboTopics(questions);
+    const unknown = topics.filter((t) => !available.includes(t));
+    if (unknown.length) {
+        throw new SessionError('unknown_topics', 400, { unknown, available });
+    }
+
+    let chosen = [...new Set(topics)];
+    if (chosen.length > SURVEY_COMBO_COUNT) {
+        throw new SessionError('too_many_topics', 400, { max: SURVEY_COMBO_COUNT, topics: chosen });
+    }
+    let pool = available;
+    if (survey) {
+        const { background, activities } = eligibleTopics(survey);
+        pool = available.filter((t) => background.includes(t) || activities.includes(t));
+        const outside = chosen.filter((t) => !pool.includes(t));
+        if (outside.length) {
+            throw new SessionError('topics_not_in_survey', 400, { outside, eligible: pool });
+        }
+        if (chosen.length === 0) chosen = selectSurveyTopics(survey, SURVEY_COMBO_COUNT);
+    }
+    const rest = available.filter((t) => !chosen.includes(t));
+    const surveyTopics = [
+        ...chosen,
+        ...pickRandom(pool.filter((t) => !chosen.includes(t)), SURVEY_COMBO_COUNT - chosen.length),
+    ].slice(0, SURVEY_COMBO_COUNT);
+
+    const form = [];
+    const push = (section, q, extra = {}) => form.push({ section, ...extra, question: q });
+
+    const [intro] = pickRandom(questions.filter((q) => q.topic === 'intro'), 1);
+    if (intro) push('intro', intro);
+
+    surveyTopics.forEach((topic, i) => {
+        for (const q of comboFor(questions, topic)) push('combo', q, { combo: i + 1, topic });
+    });
+
+    const rolePlay = pickSet(questions, 'roleplay');
+    const unexpectedSet = rolePlay ? null : pickSet(questions, 'unexpected');
+    if (rolePlay) {
+        for (const q of rolePlay.questions) push('roleplay', q, { set: rolePlay.set });
+    } else if (unexpectedSet) {
+        for (const q of unexpectedSet.questions) {
+            push('unexpected', q, { set: unexpectedSet.set, topic: q.topic });
+        }
+    } else {
+        // 돌발 주제: 서베이에서 고르지 않은 주제 우선
+        const outsidePool = survey ? rest.filter((t) => !pool.includes(t)) : rest;
+        const candidates = outsidePool.filter((t) => !surveyTopics.includes(t));
+        const [unexpected] = pickRandom(
+            candidates.length ? candidates : rest.filter((t) => !surveyTopics.includes(t)),
+            1
+        );
+        if (!unexpected) throw new SessionError('no_unexpected_topic', 400, { surveyTopics });
+        for (const q of comboFor(questions, unexpected)) {
+            push('unexpected', q, { topic: unexpected });
+        }
+    }
+
+    const advanced = questions.filter((q) => q.type === 'advanced');
+    for (const q of pickRandom(advanced, ADVANCED_COUNT)) push('advanced', q);
+
+    // 주제/문항이 모자라면 짧은 폼을 내주지 말고 거절
+    if (form.length < FORM_SIZE) {
+        throw new SessionError('not_enough_questions', 400, {
+            size: form.length,
+            required: FORM_SIZE,
+            surveyTopics,
+        });
+    }
+    return form.slice(0, FORM_SIZE).map((item, index) => ({ index: index + 1, ...item }));
+}
+
+export function createSession({
+    topics,
+    targetLevel,
+    survey = null,
+    learnerId = null,
+    rubricVersion = null,
+    language = null,
+} = {}) {
+    const level = (targetLevel || 'IM2').toString().toUpperCase();
+    if (!OPIC_LEVELS.includes(level)) {
+        throw new SessionError('invalid_target_level', 400, { allowed: OPIC_LEVELS });
+    }
+    const form = buildForm({ topics, survey });
+    const session = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        targetLevel: level,
+        surveyId: survey?.id || null,
+        learnerId,
+        rubricVersion,
+        language,
+        form,
+        answers: [],
+        status: 'in_progress',
+        result: null,
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+export function getSession(id) {
+    const s = sessions.get(id);
+    if (!s) return null;
+    if (Date.now() - s.updatedAt > SESSION_TTL_MS) {
+        sessions.delete(id);
+        return null;
+    }
+    return s;
+}
+
+export function requireSession(id) {
+    const s = getSession(id);
+    if (!s) throw new SessionError('session_not_found', 404, { id });
+    return s;
+}
+
+export function currentItem(session) {
+    return session.form[session.answers.length] || null;
+}
+
+export function recordAnswer(session, { questionId, answerText, review }) {
+    const item = currentItem(session);
+    if (!item) throw new SessionError('session_completed', 409);
+    if (questionId && questionId !== item.question.id) {
+        throw new SessionError('question_mismatch', 409, { expected: item.question.id });
+    }
+    session.answers.push({
+        index: item.index,
+        questionId: item.question.id,
+        section: item.section,
+        answerText,
+        review,
+        answeredAt: Date.now(),
+    });
+    session.updatedAt = Date.now();
+    if (!currentItem(session)) {
+        session.status = 'completed';
+        session.result = gradeSession(session.answers);
+    }
+    return item;
+}
+
+// 문항별 리뷰를 모아 최종 등급 산출
+export function gradeSession(answers) {
+    return { answered: answers.length, ...aggregateReviews(answers) };
+}
+
+export function summarizeSession(session) {
+    return {
+        sessionId: session.id,
+        status: session.status,
+        targetLevel: session.targetLevel,
+        surveyId: session.surveyId,
+        rubricVersion: session.rubricVersion,
+        language: session.language,
+        total: session.form.length,
+        answered: session.answers.length,
+        form: session.form.map(({ index, section, combo, set, topic, question }) => ({
+            index, section, combo, set, topic, questionId: question.id,
+        })),
+        result: session.result,
+    };
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, s] of sessions) {
+        if (now - s.updatedAt > SESSION_TTL_MS) sessions.delete(id);
+    }
+}, 60_000).unref();
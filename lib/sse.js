@@ -0,0 +1,41 @@
+// lib/sse.js
+// Server-Sent Events 헬퍼
+
+export function wantsStream(req) {
+    const v = req.query?.stream ?? req.body?.stream;
+    if (v === '1' || v === 'true' || v === true) return true;
+    return (req.headers.accept || '').includes('text/event-stream');
+}
+
+export function openSse(req, res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // 프록시 버퍼링 방지
+    res.flushHeaders?.();
+
+    let closed = false;
+    const controller = new AbortController();
+    // 클라이언트가 끊으면 업스트림 요청도 취소할 수 있도록 signal 제공
+    res.on('close', () => {
+        closed = true;
+        controller.abort();
+    });
+
+    return {
+        signal: controller.signal,
+        get closed() {
+            return closed;
+        },
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            if (closed) return;
+            closed = true;
+            res.end();
+        },
+    };
+}
@@ -0,0 +1,157 @@
+// lib/survey.js
+// OPIc Background Survey: 학습자 배경 응답 → 출제 가능한 주제 선택기
+import crypto from 'crypto';
+import { loadQuestions, pickRandom } from './questions.js';
+
+// 서베이 항목별 선택지와 questions.json 주제 매핑
+export const ROLES = ['student', 'office_worker', 'job_seeker', 'none'];
+export const RESIDENCES = ['alone', 'family', 'friends', 'dormitory'];
+
+export const ACTIVITY_CATEGORIES = {
+    leisure: ['movies', 'camping', 'gaming'],
+    hobby: ['music', 'reading', 'cooking', 'photo'],
+    sports: ['workout', 'hiking'],
+    travel: ['travelKR', 'travelAbroad'],
+};
+
+// 실제 시험의 "최소 선택 개수" 규칙 (주제 수에 맞게 축소)
+export const SURVEY_RULES = {
+    minActivities: 4,
+    minLeisureOrHobby: 2,
+    minSports: 1,
+    minTravel: 1,
+};
+
+// 서베이 각 문항을 읽어 줄 survey_* 질문 (아바타 영상용)
+const SURVEY_QUESTION_TOPICS = {
+    residence: 'residence',
+    role: 'role',
+    recentCourse: 'recentCourse',
+};
+
+const SURVEY_TTL_MS = Number(process.env.SESSION_TTL_MS || 1000 * 60 * 60 * 3);
+const surveys = new Map();
+
+export class SurveyError extends Error {
+    constructor(code, details = {}) {
+        super(code);
+        this.code = code;
+        this.status = 400;
+        this.details = details;
+    }
+}
+
+export function activityCategory(topic) {
+    for (const [category, topics] of Object.entries(ACTIVITY_CATEGORIES)) {
+        if (topics.includes(topic)) return category;
+    }
+    return null;
+}
+
+export function surveyOptions(questions = loadQuestions()) {
+    const surveyQuestions = {};
+    for (const [field, topic] of Object.entries(SURVEY_QUESTION_TOPICS)) {
+        surveyQuestions[field] = questions
+            .filter((q) => q.type === 'survey' && q.topic === topic)
+            .map((q) => q.id);
+    }
+    return {
+        residence: RESIDENCES,
+        role: ROLES,
+        recentCourse: 'free text (optional)',
+        activities: ACTIVITY_CATEGORIES,
+        rules: SURVEY_RULES,
+        surveyQuestions,
+    };
+}
+
+export function validateSurvey(input = {}) {
+    const { residence, role, recentCourse, activities } = input;
+    const errors = [];
+
+    if (!RESIDENCES.includes(residence)) errors.push({ field: 'residence', allowed: RESIDENCES });
+    if (!ROLES.includes(role)) errors.push({ field: 'role', allowed: ROLES });
+    if (!Array.isArray(activities)) {
+        errors.push({ field: 'activities', message: 'array_required' });
+        throw new SurveyError('invalid_survey', { errors });
+    }
+
+    const picked = [...new Set(activities.map(String))];
+    const unknown = picked.filter((t) => !activityCategory(t));
+    if (unknown.length) errors.push({ field: 'activities', unknown });
+
+    const count = (cat) => picked.filter((t) => activityCategory(t) === cat).length;
+    const r = SURVEY_RULES;
+    if (picked.length < r.minActivities) {
+        errors.push({ rule: 'minActivities', required: r.minActivities, got: picked.length });
+    }
+    if (count('leisure') + count('hobby') < r.minLeisureOrHobby) {
+        errors.push({ rule: 'minLeisureOrHobby', required: r.minLeisureOrHobby, got: count('leisure') + count('hobby') });
+    }
+    if (count('sports') < r.minSports) {
+        errors.push({ rule: 'minSports', required: r.minSports, got: count('sports') });
+    }
+    if (count('travel') < r.minTravel) {
+        errors.push({ rule: 'minTravel', required: r.minTravel, got: count('travel') });
+    }
+    if (errors.length) throw new SurveyError('invalid_survey', { errors });
+
+    return {
+        residence,
+        role,
+        recentCourse: recentCourse ? String(recentCourse).trim() : null,
+        activities: picked,
+    };
+}
+
+// 서베이 응답으로 출제 가능한 주제 (배경 주제 + 선택한 활동)
+export function eligibleTopics(survey) {
+    const background = ['residence'];
+    if (survey.role !== 'none') background.push('jobMajor', 'env');
+    return { background, activities: [...survey.activities] };
+}
+
+/**
+ * 콤보 주제 선택기
+ *  - 배경 주제(거주지/직업·전공)에서 1개
+ *  - 나머지는 학습자가 고른 활동에서만 (여가/취미 우선 1개 이상)
+ */
+export function selectSurveyTopics(survey, count = 3) {
+    const { background, activities } = eligibleTopics(survey);
+    const leisureOrHobby = activities.filter((t) =>
+        ['leisure', 'hobby'].includes(activityCategory(t))
+    );
+
+    const selected = pickRandom(background, 1);
+    if (count > 1) selected.push(...pickRandom(leisureOrHobby, 1));
+    const rest = activities.filter((t) => !selected.includes(t));
+    selected.push(...pickRandom(rest, count - selected.length));
+    return selected.slice(0, count);
+}
+
+export function saveSurvey(input) {
+    const survey = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        ...validateSurvey(input),
+    };
+    surveys.set(survey.id, survey);
+    return survey;
+}
+
+export function getSurvey(id) {
+    const s = surveys.get(id);
+    if (!s) return null;
+    if (Date.now() - s.createdAt > SURVEY_TTL_MS) {
+        surveys.delete(id);
+        return null;
+    }
+    return s;
+}
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, s] of surveys) {
+        if (now - s.createdAt > SURVEY_TTL_MS) surveys.delete(id);
+    }
+}, 60_000).unref();
@@ -0,0 +1,185 @@
+// lib/talks.js
+// talks-result.json ↔ questions.json ↔ videos/ 상태 관리
+//
+// 질문별 talk 상태 머신
+//   pending → created → processing → done → downloaded
+//   (create 일시 실패) pending → retry → created ...
+//   (영구 실패 / 재시도 초과) * → error,  (D-ID 콘텐츠 거절) * → rejected
+//   (질문 텍스트/아바타 변경) downloaded → pending (regenerate)
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ROOT_DIR, VIDEOS_DIR, hasVideo, loadQuestions, videoPath } from './questions.js';
+
+export const TALKS_PATH = path.join(ROOT_DIR, 'talks-result.json');
+export const MAX_ATTEMPTS = Number(process.env.DID_MAX_ATTEMPTS || 3);
+
+export const TALK_STATES = [
+    'pending', 'created', 'processing', 'done', 'downloaded', 'retry', 'error', 'rejected',
+];
+
+const TRANSITIONS = {
+    pending: ['created', 'retry', 'error'],
+    retry: ['created', 'retry', 'error'],
+    created: ['created', 'processing', 'done', 'error', 'rejected'],
+    processing: ['processing', 'done', 'error', 'rejected'],
+    done: ['done', 'downloaded', 'error', 'pending'],
+    downloaded: ['pending'],
+    error: ['pending'],
+    rejected: ['pending'],
+};
+
+// D-ID talk status → 내부 상태
+const DID_STATUS = {
+    created: 'created',
+    started: 'processing',
+    done: 'done',
+    error: 'error',
+    rejected: 'rejected',
+};
+
+export class TalkStateError extends Error {
+    constructor(id, from, to) {
+        super(`Invalid talk transition for ${id}: ${from} → ${to}`);
+        this.id = id;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export function stateFromDid(didStatus) {
+    return DID_STATUS[didStatus] || 'processing';
+}
+
+// 예전 create-videos.js 형식 ({ status: 'ok' | 'error' | 'exception' }) → 상태 머신 형식
+function migrateRecord(r) {
+    if (r.state) return r;
+    const { status, ...rest } = r;
+    let state = 'pending';
+    if (status === 'ok' && r.talkId) state = hasVideo(r.id) ? 'downloaded' : 'created';
+    else if (status === 'error' || status === 'exception') state = 'retry';
+    return { ...rest, state, attempts: r.attempts || (state === 'retry' ? 1 : 0) };
+}
+
+export function loadTalks(file = TALKS_PATH) {
+    if (!fs.existsSync(file)) return new Map();
+    const list = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const map = new Map();
+    // 같은 id가 여러 번 있으면 마지막 기록이 최신 (질문 id 기준 중복 제거)
+    for (const r of list) {
+        if (r && r.id) map.set(r.id, migrateRecord({ ...map.get(r.id), ...r }));
+    }
+    return map;
+}
+
+// 임시 파일에 쓴 뒤 rename → 중간에 죽어도 파일이 깨지지 않음
+export function saveTalks(map, file = TALKS_PATH) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...map.values()], null, 2), 'utf-8');
+    fs.renameSync(tmp, file);
+}
+
+export function getTalk(map, id) {
+    return map.get(id) || { id, state: 'pending', attempts: 0 };
+}
+
+export function transition(map, id, to, patch = {}) {
+    const current = getTalk(map, id);
+    if (!TRANSITIONS[current.state]?.includes(to)) {
+        throw new TalkStateError(id, current.state, to);
+    }
+    const next = { ...current, ...patch, state: to, updatedAt: new Date().toISOString() };
+    map.set(id, next);
+    return next;
+}
+
+// 실패 기록: 재시도 가능하면 retryState, 아니면 error
+// retryAt: 429 의 Retry-After 로 정한 다음 시도 가능 시각 (ISO 문자열, 없으면 null)
+export function recordFailure(map, id, { retryable, retryState, error, httpStatus, retryAt = null }) {
+    const current = getTalk(map, id);
+    const attempts = (current.attempts || 0) + 1;
+    const to = retryable && attempts < MAX_ATTEMPTS ? retryState : 'error';
+    return transition(map, id, to, { attempts, lastError: error, httpStatus, retryAt });
+}
+
+/* ----------------------------- Stale detection ----------------------------- */
+// 영상 내용 = 스크립트 텍스트 + 아바타 이미지 → 둘 중 하나라도 바뀌면 다시 만들어야 함
+export function scriptHash({ text, sourceUrl }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([String(text), String(sourceUrl)]))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * @returns {'fresh' | 'stale' | 'unknown' | 'none'}
+ *   stale: 해시가 다르거나, 다시 만들기로 한 talk(regenerate / 영상이 있는데 pending) — 해시 없는 예전 기록도 포함
+ *   unknown: 해시 없이 만들어진 예전 기록 (check --accept 로 기준값 저장)
+ */
+export function videoFreshness(question, talk, sourceUrl) {
+    if (!hasVideo(question.id)) return 'none';
+    if (talk?.regenerate || talk?.state === 'pending') return 'stale';
+    if (!talk?.scriptHash) return 'unknown';
+    const expected = scriptHash({ text: question.text, sourceUrl: sourceUrl || talk.sourceUrl });
+    return talk.scriptHash === expected ? 'fresh' : 'stale';
+}
+
+export function findStale(questions, talks, sourceUrl) {
+    return questions.filter((q) => videoFreshness(q, talks.get(q.id), sourceUrl) === 'stale');
+}
+
+// 서버에서 질문 API 응답마다 파일을 다시 읽지 않도록 mtime 기준 캐시
+let cached = { mtimeMs: -1, talks: new Map() };
+export function loadTalksCached(file = TALKS_PATH) {
+    const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+    if (mtimeMs !== cached.mtimeMs) cached = { mtimeMs, talks: loadTalks(file) };
+    return cached.talks;
+}
+
+export function listVideoIds() {
+    if (!fs.existsSync(VIDEOS_DIR)) return [];
+    return fs.readdirSync(VIDEOS_DIR)
+        .filter((f) => f.endsWith('.mp4'))
+        .map((f) => f.slice(0, -4));
+}
+
+// 세 군데 상태를 맞춰 보고서 생성
+export function reconcile({ questions = loadQuestions(), talks = loadTalks(), sourceUrl } = {}) {
+    const questionIds = new Set(questions.map((q) => q.id));
+    const videoIds = new Set(listVideoIds());
+
+    const rows = questions.map((q) => {
+        const talk = talks.get(q.id) || null;
+        return {
+            id: q.id,
+            topic: q.topic,
+            hasVideo: videoIds.has(q.id),
+            talkId: talk?.talkId || null,
+            state: talk?.state || 'pending',
+            lastError: talk?.lastError || null,
+            freshness: videoFreshness(q, talk, sourceUrl),
+        };
+    });
+
+    const byState = {};
+    for (const r of rows) byState[r.state] = (byState[r.state] || 0) + 1;
+
+    return {
+        rows,
+        byState,
+        missingVideos: rows.filter((r) => !r.hasVideo).map((r) => r.id),
+        staleVideos: rows.filter((r) => r.freshness === 'stale').map((r) => r.id),
+        withoutTalk: rows.filter((r) => !r.hasVideo && !r.talkId).map((r) => r.id),
+        orphanVideos: [...videoIds].filter((id) => !questionIds.has(id)),
+        orphanTalks: [...talks.keys()].filter((id) => !questionIds.has(id)),
+    };
+}
+
+export function writeVideo(id, buf) {
+    fs.mkdirSync(VIDEOS_DIR, { recursive: true });
+    const file = videoPath(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buf);
+    fs.renameSync(tmp, file);
+}
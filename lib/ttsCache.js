@@ -0,0 +1,82 @@
+// lib/ttsCache.js
+// 내용 주소 기반 TTS 캐시: sha256(model, voice, text, format) → 오디오
+// 같은 질문 텍스트를 같은 목소리로 다시 합성하지 않도록 요청/재시작 간 재사용
+import crypto from 'crypto';
+import path from 'path';
+import { createMediaStore } from './mediaStore.js';
+import { ROOT_DIR } from './questions.js';
+
+export const TTS_VOICES = ['nova', 'shimmer', 'echo', 'onyx', 'fable', 'alloy', 'ash', 'sage', 'coral'];
+
+export function pickVoice(voice, env = process.env) {
+    const requested = (voice || env.TTS_VOICE || 'sage').toLowerCase();
+    return TTS_VOICES.includes(requested) ? requested : 'sage';
+}
+
+export function ttsCacheConfig(env = process.env) {
+    return {
+        backend: (env.TTS_CACHE_STORE || 'fs').toLowerCase(),
+        dir: env.TTS_CACHE_DIR || path.join(ROOT_DIR, 'media-cache', 'tts'),
+        ttlMs: Number(env.TTS_CACHE_TTL_MS || 1000 * 60 * 60 * 24 * 30),
+        maxBytes: Number(env.TTS_CACHE_MAX_BYTES || 500 * 1024 * 1024),
+    };
+}
+
+export function ttsCacheKey({ model, voice, text, format }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([model, voice, text, format]))
+        .digest('hex');
+}
+
+export function createTtsCache({ llm, store = createMediaStore(ttsCacheConfig()) }) {
+    // 같은 키로 동시에 들어온 요청은 한 번만 합성
+    const inflight = new Map();
+
+    async function synthesize({ text, voice, format = 'mp3' }) {
+        const model = llm.models.tts;
+        const id = ttsCacheKey({ model, voice, text, format });
+
+        const hit = await store.get(id);
+        if (hit) return { id, cached: true, model, voice, mime: hit.mime };
+
+        if (!inflight.has(id)) {
+            inflight.set(id, (async () => {
+                const { buf, mime } = await llm.synthesize({ text, voice, format });
+                await store.put(buf, mime, { id });
+                return { mime };
+            })().finally(() => inflight.delete(id)));
+        }
+        const { mime } = await inflight.get(id);
+        return { id, cached: false, model, voice, mime };
+    }
+
+    // 질문 은행 전체를 batchSize 개씩 미리 합성 (이미 있으면 건너뜀), 배치 사이 pauseMs 쉼
+    async function prewarm(items, { voice, format = 'mp3', batchSize = 5, pauseMs = 0, onItem = () => {} } = {}) {
+        const summary = { total: items.length, cached: 0, synthesized: 0, failed: [] };
+        const size = Math.max(1, batchSize);
+        for (let i = 0; i < items.length; i += size) {
+            await Promise.all(items.slice(i, i + size).map(async ({ id, text }) => {
+                try {
+                    const r = await synthesize({ text, voice, format });
+                    summary[r.cached ? 'cached' : 'synthesized'] += 1;
+                    onItem({ ...r, cacheId: r.id, id });
+                } catch (e) {
+                    summary.failed.push({ id, error: String(e.message || e) });
+                    onItem({ id, error: e });
+                }
+            }));
+            if (pauseMs > 0 && i + size < items.length) await new Promise((resolve) => setTimeout(resolve, pauseMs));
+        }
+        return summary;
+    }
+
+    return {
+        store,
+        synthesize,
+        prewarm,
+        get: (id) => store.get(id),
+        sweep: () => store.sweep(),
+        stats: () => store.stats(),
+    };
+}
@@ -3,24 +3,79 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import { OpenAI } from 'openai';
-import crypto from 'crypto';
-// ✅ [수정 1] "node-fetch@3" (ESM 호환) 패키지를 명시적으로 import
-import fetch from 'node-fetch';
 // ✅ [수정 2] "Keep-Alive" 에이전트 import
 import http from 'http';
 import https from 'https';
 
 import path from 'path';
 import fs from 'fs';
+import { pipeline } from 'stream';
 import { fileURLToPath } from 'url';
 
+import {
+    QUESTION_TYPES,
+    filterQuestions,
+    getQuestion,
+    pickRandom,
+    videoPath,
+    withVideoInfo,
+} from './lib/questions.js';
+import { isNotModified, parseRange, rangeStillValid } from './lib/httpRange.js';
+import { createMediaStore } from './lib/mediaStore.js';
+import { createTtsCache, pickVoice } from './lib/ttsCache.js';
+import { analyzeFluency, normalizeFluencyMetrics } from './lib/fluency.js';
+import { normalizeCorrections } from './lib/corrections.js';
+import { assessPronunciation, normalizeWords } from './lib/pronunciation.js';
+import {
+    RubricError,
+    buildReviewPrompt,
+    defaultRubricVersion,
+    describeRubric,
+    listRubricVersions,
+    loadRubric,
+    resolveRubric,
+    reviewTask,
+} from './lib/rubrics.js';
+import { openSse, wantsStream } from './lib/sse.js';
+import { createDb } from './lib/db/index.js';
+import { createHistory, isValidLearnerId } from './lib/history.js';
+import { AuthError, createAuth } from './lib/auth.js';
+import { ClassroomError, createClassroom } from './lib/classroom.js';
+import { QuestionBankError, createQuestionBank, createRegenerationMarks, loadQuestionOverlay } from './lib/questionBank.js';
+import { QuotaError, createQuotas, dayKey, normalizeLimits } from './lib/quotas.js';
+import { ConversationError, createConversations } from './lib/conversations.js';
+import { MODEL_ANSWER_LEVELS, ModelAnswerError, createModelAnswers } from './lib/modelAnswer.js';
+import {
+    SessionError,
+    createSession,
+    currentItem,
+    recordAnswer,
+    requireSession,
+    summarizeSession,
+} from './lib/sessions.js';
+import { OPIC_LEVELS, aggregateReviews } from './lib/scoring.js';
+import { repairReview } from './lib/reviewSchema.js';
+import { ProviderError, createProvider, streamText } from './lib/providers/index.js';
+import { DEFAULT_SOURCE_IMAGE_URL, createDidClient } from './lib/did.js';
+import { loadTalksCached, videoFreshness } from './lib/talks.js';
+import { SurveyError, getSurvey, saveSurvey, surveyOptions } from './lib/survey.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const port = process.env.PORT || 8080;
 
+// ✅ 익명 rate limit 은 req.ip 기준 → 프록시 뒤라면 X-Forwarded-For 를 믿을 범위를 지정
+//    TRUST_PROXY=loopback(기본) | true | false | 홉 수(1) | IP/서브넷 목록(쉼표)
+function trustProxySetting(raw = process.env.TRUST_PROXY) {
+    const v = (raw ?? 'loopback').trim();
+    if (v === 'true' || v === 'false') return v === 'true';
+    if (/^\d+$/.test(v)) return Number(v);
+    return v.split(',').map((s) => s.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxySetting());
+
 /* ---------------- Keep-Alive agents (왕복 지연 ↓) ---------------- */
 // ✅ [수정 3] "Keep-Alive" 에이전트 정의 (GitHub 코드 100% 복원)
 const httpAgent = new http.Agent({ keepAlive: true });
@@ -64,32 +119,128 @@ const upload = multer({
 });
 
 /* --------------------------------- Clients -------------------------------- */
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-/* ----------------------------- In-Memory Media ---------------------------- */
-// (기존 mediaStore, putMedia, getMedia, setInterval 코드 ... )
-const mediaStore = new Map();
-const MEDIA_TTL_MS = Number(process.env.MEDIA_TTL_MS || 1000 * 60 * 60);
-function putMedia(buf, mime = 'audio/mpeg') {
-    const id = crypto.randomUUID();
-    mediaStore.set(id, { buf, mime, ts: Date.now() });
-    return id;
+// ✅ LLM_PROVIDER=openai | mock (mock은 API 키/네트워크 없이 결정적 응답)
+const llm = createProvider();
+
+/* ------------------------------- Media store ------------------------------- */
+// ✅ MEDIA_STORE=memory(기본) | fs — TTL(MEDIA_TTL_MS) + 용량 상한(MEDIA_MAX_BYTES, LRU)
+const media = createMediaStore();
+setInterval(() => {
+    media.sweep().catch((e) => console.error('[MEDIA SWEEP ERROR]', e));
+}, 60_000).unref();
+
+// ✅ TTS 캐시: (model, voice, text, format) 해시 → 오디오, 재시작 후에도 재사용 (TTS_CACHE=off 로 끄기)
+//    미리 합성은 서버 밖에서: npm run tts:prewarm
+const ttsCache = process.env.TTS_CACHE === 'off' ? null : createTtsCache({ llm });
+if (ttsCache) {
+    setInterval(() => {
+        ttsCache.sweep().catch((e) => console.error('[TTS CACHE SWEEP ERROR]', e));
+    }, 10 * 60_000).unref();
 }
-function getMedia(id) {
-    const item = mediaStore.get(id);
-    if (!item) return null;
-    if (Date.now() - item.ts > MEDIA_TTL_MS) {
-        mediaStore.delete(id);
-        return null;
+
+/* ------------------------------ Learner history ------------------------------ */
+// ✅ DB_BACKEND=json(기본, DATA_DIR) | memory — 학습자별 답변 기록
+const db = createDb();
+const history = createHistory(db);
+
+/* ------------------------------ Auth & quotas ------------------------------ */
+// ✅ AUTH_MODE=off(기본) | optional | required — bearer 토큰 / API 키 → req.identity
+//    과금 라우트(ask / review / tts / stt)는 identity 별 분당 rate limit + 일일 quota
+const auth = createAuth({ db });
+const quotas = createQuotas({ db });
+
+app.use(async (req, res, next) => {
+    try {
+        req.identity = await auth.identify(req);
+        return next();
+    } catch (e) {
+        if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, ...e.details });
+        return next(e);
+    }
+});
+
+// 버킷 여러 개를 주면 (예: 녹음 채점 = stt + review) 모두 여유가 있을 때만 통과
+// AUTH_MODE=off 면 기본적으로 세지 않음 (RATE_LIMIT_WHEN_AUTH_OFF=on 으로 IP 기준 한도 사용)
+// 먼저 차감하고 (동시 요청이 한도를 넘지 않도록) 검증에서 거절된 요청(4xx, 422 제외)은 응답 후 되돌림
+//   422 empty_transcript 는 STT 를 이미 호출했으므로 차감 유지
+const isRejected = (status) => status >= 400 && status < 500 && status !== 422;
+
+// 라우트 안에서 직접 차감할 때 (예: 캐시에 없을 때만) — 통과하면 true, 막았으면 응답을 보내고 false
+async function charge(req, res, buckets) {
+    const { identity } = req;
+    if (identity.kind === 'admin') return true;
+    if (auth.mode === 'off' && !quotas.whenAuthOff) return true;
+    if (auth.mode === 'required' && identity.kind === 'anonymous') {
+        res.status(401).json({ error: 'auth_required' });
+        return false;
+    }
+    if (!buckets.length) return true;
+    try {
+        const chargedAt = Date.now();
+        const [first] = await quotas.consume(identity, buckets);
+        res.on('finish', () => {
+            if (!isRejected(res.statusCode)) return;
+            quotas.refund(identity, buckets, chargedAt).catch((e) => console.error('[QUOTA REFUND ERROR]', e));
+        });
+        if (first.remaining != null) {
+            res.setHeader('RateLimit-Limit', first.limit);
+            res.setHeader('RateLimit-Remaining', first.remaining);
+            res.setHeader('RateLimit-Reset', Math.ceil((Date.parse(first.resetAt) - Date.now()) / 1000));
+        }
+        return true;
+    } catch (e) {
+        if (!(e instanceof QuotaError)) throw e;
+        res.setHeader('Retry-After', e.details.retryAfterSec);
+        res.status(429).json({ error: e.code, ...e.details });
+        return false;
     }
-    return item;
 }
-setInterval(() => {
-    const now = Date.now();
-    for (const [id, v] of mediaStore) {
-        if (now - v.ts > MEDIA_TTL_MS) mediaStore.delete(id);
+
+function metered(...buckets) {
+    return async (req, res, next) => {
+        try {
+            if (await charge(req, res, buckets)) return next();
+        } catch (e) {
+            return next(e);
+        }
+    };
+}
+
+function requireAdmin(req, res, next) {
+    if (req.identity?.kind !== 'admin') return res.status(401).json({ error: 'admin_required' });
+    return next();
+}
+
+// learnerId: 학습자 토큰/키면 그 학습자, AUTH_MODE=off 일 때만 X-Learner-Id 헤더 또는 body.learnerId
+// (없으면 기록하지 않음 — 인증을 켠 뒤에는 누구나 보낼 수 있는 헤더를 믿지 않음)
+function learnerIdOf(req) {
+    if (req.identity?.kind === 'learner') return req.identity.subject;
+    if (auth.mode !== 'off') return null;
+    const id = req.get('x-learner-id') || req.body?.learnerId;
+    return isValidLearnerId(id) ? String(id) : null;
+}
+
+// 학습자 데이터(기록 / 대화 스레드 / 모의고사 세션): AUTH_MODE=off 가 아니면 본인(학습자 토큰/키) 또는 관리자만
+// 막았으면 응답을 보내고 true
+function denyUnlessOwner(req, res, learnerId) {
+    const { identity } = req;
+    if (auth.mode === 'off' || identity?.kind === 'admin') return false;
+    if (identity?.kind === 'anonymous') {
+        res.status(401).json({ error: 'auth_required' });
+        return true;
     }
-}, 60_000);
+    if (identity?.kind !== 'learner' || identity.subject !== learnerId) {
+        res.status(403).json({ error: 'forbidden' });
+        return true;
+    }
+    return false;
+}
+
+// 기록 실패가 채점 응답을 막지 않도록 로그만 남김
+function recordAttempt(attempt) {
+    if (!attempt.learnerId) return;
+    history.recordAttempt(attempt).catch((e) => console.error('[HISTORY WRITE ERROR]', e));
+}
 
 /* --------------------------------- Health --------------------------------- */
 // (기존 Health 코드 ... )
@@ -97,89 +248,312 @@ app.get('/', (_req, res) => res.json({ service: 'OPIC Backend', ok: true }));
 app.get(['/health', '/api/health'], (_req, res) => {
     res.json({
         ok: true,
+        provider: llm.name,
+        models: llm.models,
+        media: media.stats(),
+        ttsCache: ttsCache ? ttsCache.stats() : null,
+        authMode: auth.mode,
+        rubricVersion: defaultRubricVersion(),
         origins: allowedOrigins,
         routes: [
             '/ask', '/api/ask',
+            '/api/conversations/:id', '/api/conversations/:id/end',
             '/review', '/api/review',
+            '/api/reviews/aggregate',
+            '/api/rubrics', '/api/rubrics/:version',
+            '/api/learners/:learnerId/history',
+            '/api/learners/:learnerId/progress',
+            '/api/learners/:learnerId/weaknesses',
             '/tts', '/api/tts',
             '/stt', '/api/stt',
+            '/api/answers/evaluate',
             '/media/tts/:id',
             '/video/:id', '/api/video/:id',
+            '/api/questions', '/api/questions/random', '/api/questions/:id',
+            '/api/questions/:id/model-answer',
+            '/api/survey', '/api/survey/:id',
+            '/api/sessions', '/api/sessions/:id',
+            '/api/sessions/:id/next', '/api/sessions/:id/answers',
+            '/api/classes', '/api/classes/:id', '/api/classes/:id/students',
+            '/api/classes/:id/assignments', '/api/assignments/:id',
+            '/api/assignments/:id/submissions', '/api/assignments/:id/roster',
+            '/api/submissions/:id', '/api/submissions/:id/override',
+            '/api/admin/keys', '/api/admin/keys/:id', '/api/admin/tokens', '/api/admin/usage',
+            '/api/admin/questions', '/api/admin/questions/:id', '/api/admin/questions/reorder',
+            '/api/admin/questions/:id/retire', '/api/admin/questions/:id/restore',
+            '/api/admin/questions/history',
             '/api/test-did' // 테스트 라우트
         ],
     });
 });
 
 /* ----------------------------------- ASK ---------------------------------- */
-// (기존 ASK 코드 ... )
-app.post(['/ask', '/api/ask'], async (req, res) => {
+// 기본은 기존처럼 1회성 질문/답변.
+// conversationId 또는 mode('coach' | 'examiner')를 주면 대화 모드 (스레드 유지)
+const conversations = createConversations({ llm, db });
+
+// 스트림 도중 에러: 클라이언트가 끊은 경우(abort)는 조용히 종료
+function sendSseError(sse, e, tag) {
+    if (sse.closed || e?.name === 'AbortError') return sse.end();
+    let body = { error: 'server_error' };
+    if (e instanceof ReviewJsonError) body = { error: 'invalid_review_json', issues: e.issues };
+    else if (e instanceof ProviderError) body = { error: e.code };
+    else if (e instanceof ConversationError) body = { error: e.code, ...e.details };
+    else if (e instanceof RubricError) body = { error: e.code, ...e.details };
+    else console.error(tag, e);
+    sse.send('error', body);
+    return sse.end();
+}
+
+function sendConversationError(res, e, tag) {
+    if (e instanceof ConversationError) {
+        return res.status(e.status).json({ error: e.code, ...e.details });
+    }
+    console.error(tag, e);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+app.post(['/ask', '/api/ask'], metered('ask'), async (req, res) => {
     try {
-        const { question, prompt } = req.body || {};
+        const { question, prompt, conversationId, mode, questionId } = req.body || {};
         const content = (prompt ?? question)?.toString().trim();
+
+        if (conversationId || mode) {
+            let id = conversationId ? String(conversationId) : null;
+            let opening = null;
+            if (!id) {
+                // 인증을 켠 뒤에는 소유자(학습자)가 있는 스레드만 만듦
+                if (denyUnlessOwner(req, res, learnerIdOf(req))) return;
+                const q = questionId ? getQuestion(String(questionId)) : null;
+                if (questionId && !q) return res.status(404).json({ error: 'question_not_found', id: questionId });
+                const thread = await conversations.start({ mode, learnerId: learnerIdOf(req), question: q });
+                id = thread.id;
+                opening = thread.messages[0]?.content ?? null;
+                // 시험관 모드: 첫 질문만 받고 시작할 수 있음
+                if (!content) return res.status(201).json({ conversationId: id, mode: thread.mode, answer: opening });
+            }
+            if (!content) return res.status(400).json({ error: 'question_required' });
+            const current = await conversations.requireOpen(id);
+            if (denyUnlessOwner(req, res, current.learnerId)) return;
+            const sse = wantsStream(req) ? openSse(req, res) : null;
+            try {
+                const { answer, thread } = await conversations.reply(id, content, {
+                    signal: sse?.signal,
+                    onToken: sse ? (delta) => sse.send('token', { delta }) : undefined,
+                });
+                const result = {
+                    conversationId: id,
+                    mode: thread.mode,
+                    answer,
+                    turn: thread.messages.filter((m) => m.role === 'user').length,
+                    ...(opening ? { opening } : {}),
+                };
+                if (!sse) return res.json(result);
+                sse.send('done', result);
+                return sse.end();
+            } catch (e) {
+                if (!sse) throw e;
+                return sendSseError(sse, e, '[ASK STREAM ERROR]');
+            }
+        }
+
         if (!content) return res.status(400).json({ error: 'question_required' });
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: 'You are a helpful OPIC practice coach.' },
-                { role: 'user', content },
-            ],
-            temperature: 0.7,
-        });
-        const answer = completion.choices?.[0]?.message?.content ?? '';
+        const messages = [
+            { role: 'system', content: 'You are a helpful OPIC practice coach.' },
+            { role: 'user', content },
+        ];
+
+        // ✅ ?stream=1 (또는 Accept: text/event-stream) → 토큰 단위 SSE
+        if (wantsStream(req)) {
+            const sse = openSse(req, res);
+            try {
+                const answer = await streamText(
+                    llm,
+                    { messages, temperature: 0.7, signal: sse.signal },
+                    (delta) => sse.send('token', { delta })
+                );
+                sse.send('done', { answer });
+                return sse.end();
+            } catch (e) {
+                return sendSseError(sse, e, '[ASK STREAM ERROR]');
+            }
+        }
+
+        const { content: answer } = await llm.chat({ messages, temperature: 0.7 });
         return res.json({ answer });
     } catch (e) {
-        console.error('[ASK ERROR]', e);
-        return res.status(500).json({ error: 'server_error' });
+        return sendConversationError(res, e, '[ASK ERROR]');
     }
 });
 
-/* ----------------------------- OPIc Review Prompt ----------------------------- */
-function buildReviewPrompt({ questionText, answerText, targetLevel }) {
-    return `
-당신은 OPIC 전문 평가관이자 영어 스피킹 코치입니다.  
-아래 사용자의 영어 답변을 분석하여 **모든 피드백을 한국어로** 제공해주세요.
-
-평가 기준:
-1. 유창성(Fluency): 말의 자연스러움, 망설임, 흐름
-2. 문법(Grammar): 문법의 정확성, 문장 구조
-3. 어휘(Vocabulary): 어휘 범위, 적절성, 주제 관련성
-4. 내용 충실도(Task Achievement): 질문에 얼마나 명확하고 충분하게 답했는지
+app.get('/api/conversations/:id', async (req, res) => {
+    try {
+        const thread = await conversations.get(req.params.id);
+        if (!thread) return res.status(404).json({ error: 'conversation_not_found', id: req.params.id });
+        if (denyUnlessOwner(req, res, thread.learnerId)) return;
+        return res.json(thread);
+    } catch (e) {
+        return sendConversationError(res, e, '[CONVERSATION ERROR]');
+    }
+});
 
-출력 형식:
-반드시 **JSON 객체만 반환**해야 하며, JSON 외의 설명은 절대로 포함하지 마세요.
+// ✅ 스레드 종료 + 요약
+app.post('/api/conversations/:id/end', metered('ask'), async (req, res) => {
+    try {
+        const current = await conversations.get(req.params.id);
+        if (!current) return res.status(404).json({ error: 'conversation_not_found', id: req.params.id });
+        if (denyUnlessOwner(req, res, current.learnerId)) return;
+        const thread = await conversations.end(req.params.id);
+        return res.json({
+            conversationId: thread.id,
+            mode: thread.mode,
+            status: thread.status,
+            turns: thread.messages.filter((m) => m.role === 'user').length,
+            summary: thread.summary,
+        });
+    } catch (e) {
+        return sendConversationError(res, e, '[CONVERSATION END ERROR]');
+    }
+});
 
-JSON 구조:
+/* ------------------------------- REVIEW (OPIc Answer Evaluation) ------------------------------- */
+class ReviewJsonError extends Error {
+    constructor(rawContent, issues = []) {
+        super('invalid_review_json');
+        this.rawContent = rawContent;
+        this.issues = issues;
+    }
+}
 
-{
-  "fluency": "1~2문장 한국어 피드백",
-  "grammar": "1~2문장 한국어 피드백",
-  "vocab": "1~2문장 한국어 피드백",
-  "taskAchievement": "1~3문장 한국어 피드백",
-  "score": 1-5,
-  "overallFeedback": "3~5문장 한국어 총평",
-  "recommendedLevel": "IM1" | "IM2" | "IH" | "AL"
+function parseReviewContent(rawContent) {
+    let content = rawContent;
+    // 혹시라도 ```json ... ``` 형태로 올 경우 대비한 방어 로직
+    if (content.startsWith('```')) {
+        content = content
+            .replace(/^```json/i, '')
+            .replace(/^```/, '')
+            .replace(/```$/, '')
+            .trim();
+    }
+    try {
+        return JSON.parse(content);
+    } catch {
+        return undefined;
+    }
 }
 
-주의:
-- "score"는 반드시 1~5 사이의 정수여야 합니다.
-- "recommendedLevel"은 반드시 "IM1", "IM2", "IH", "AL" 중 하나로 선택하세요.
-- JSON 외의 텍스트(서론, 결론, 설명 등)는 절대 포함하지 마세요.
+// ✅ /review 와 모의고사 세션이 같이 쓰는 채점 로직
+//    스키마로 복구가 안 되면 한 번만 다시 요청
+//    onProgress가 있으면 스트리밍으로 받으면서 진행 상황 전달 (signal로 취소)
+//    rubricVersion / language 는 rubrics/<version>/ 템플릿 선택 (없으면 기본값)
+//    question(또는 category) 이 있으면 문항 유형별 과제 달성 기준 (롤플레이 / 돌발)
+//    speech({ text, words, expectedText }) 가 있으면 발음 리포트를 pronunciation 으로 첨부
+async function runReview(
+    {
+        questionText,
+        answerText,
+        targetLevel,
+        fluencyMetrics,
+        corrections = false,
+        rubricVersion,
+        language,
+        question = null,
+        category = null,
+        speech = null,
+    },
+    { signal, onProgress } = {}
+) {
+    const rubric = resolveRubric({ version: rubricVersion, language });
+    const task = reviewTask({ question, category });
+    const prompt = buildReviewPrompt(rubric.rubric, rubric.language, {
+        questionText: questionText.toString(),
+        answerText: answerText.toString(),
+        targetLevel: targetLevel.toString(),
+        fluencyMetrics,
+        corrections,
+        task,
+    });
+    const criteria = rubric.rubric.criteria.map((c) => c.key);
 
-질문: """${questionText}"""
-사용자 답변: """${answerText}"""
-목표 레벨: ${targetLevel}
-    `;
-}
+    const messages = [
+        {
+            role: 'system',
+            content: prompt.system,
+        },
+        {
+            role: 'user',
+            content: prompt.prompt,
+        },
+    ];
 
+    let rawContent = '';
+    let issues = [];
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const request = { messages, temperature: 0.3, purpose: 'review', signal };
+        if (onProgress) {
+            onProgress({ stage: attempt > 1 ? 'retrying' : 'reviewing', attempt });
+            const text = await streamText(llm, { ...request, json: true }, (_delta, all) => {
+                onProgress({ stage: 'generating', attempt, chars: all.length });
+            });
+            rawContent = text.trim();
+            onProgress({ stage: 'validating', attempt });
+        } else {
+            const completion = await llm.chatJson(request);
+            rawContent = completion.content?.trim() || '';
+        }
 
-/* ------------------------------- REVIEW (OPIc Answer Evaluation) ------------------------------- */
-app.post(['/review', '/api/review'], async (req, res) => {
+        const parsed = parseReviewContent(rawContent);
+        if (parsed === undefined) {
+            console.error('[REVIEW JSON PARSE ERROR] rawContent =', rawContent);
+            issues = ['invalid_json'];
+        } else {
+            const result = repairReview(parsed, { criteria });
+            if (result.review) {
+                if (result.repaired) console.warn('[REVIEW REPAIRED]', result.repairs.join(', '));
+                const extra = corrections
+                    ? { corrections: normalizeCorrections(parsed.corrections, answerText.toString()) }
+                    : {};
+                if (speech) extra.pronunciation = assessPronunciation({ ...speech, language: rubric.language });
+                return {
+                    ...result.review,
+                    ...extra,
+                    rubricVersion: rubric.rubric.version,
+                    language: rubric.language,
+                    category: prompt.category,
+                    repaired: result.repaired || attempt > 1,
+                    repairs: result.repairs,
+                    reprompted: attempt > 1,
+                };
+            }
+            issues = result.issues;
+            console.warn('[REVIEW SHAPE WARNING] issues =', issues, 'review =', parsed);
+        }
+
+        messages.push(
+            { role: 'assistant', content: rawContent },
+            {
+                role: 'user',
+                content: prompt.retry(issues),
+            }
+        );
+    }
+    throw new ReviewJsonError(rawContent, issues);
+}
+
+app.post(['/review', '/api/review'], metered('review'), async (req, res) => {
     try {
         const {
             questionId,
             questionText,
             answerText,
             targetLevel, // "IM1" | "IM2" | "IH" | "AL"
+            fluencyMetrics, // (선택) /api/stt?analyze=1 의 fluency 결과
+            corrections, // (선택) true → 문장별 문법 교정 + 글자 범위 edits
+            rubricVersion, // (선택) rubrics/<version> (기본: RUBRIC_VERSION 또는 v2)
+            language, // (선택) 피드백 언어 "ko" | "en" | "ja" (기본 ko)
+            category, // (선택) 문항 유형 — 질문 은행에 없는 questionId 일 때만 사용
+            words, // (선택) /api/stt?words=1 의 단어 타임스탬프 → 발음 리포트
+            expectedText, // (선택) 읽기/쉐도잉 대본 — 있으면 단어 단위로 비교
         } = req.body || {};
 
         if (!questionId || !questionText || !answerText || !targetLevel) {
@@ -188,85 +562,621 @@ app.post(['/review', '/api/review'], async (req, res) => {
                 message: 'questionId, questionText, answerText, targetLevel는 모두 필수입니다.',
             });
         }
+        if (category != null && !QUESTION_TYPES.includes(category)) {
+            return res.status(400).json({ error: 'invalid_category', allowed: QUESTION_TYPES });
+        }
+        if (fluencyMetrics != null && !normalizeFluencyMetrics(fluencyMetrics)) {
+            return res.status(400).json({ error: 'invalid_fluency_metrics' });
+        }
+        if (words != null && !Array.isArray(words)) {
+            return res.status(400).json({ error: 'invalid_words', message: 'words는 [{ word, start, end }] 배열이어야 합니다.' });
+        }
+        const question = getQuestion(String(questionId));
+        const speech = words || expectedText
+            ? { text: answerText.toString(), words: normalizeWords(words) || [], expectedText: expectedText ? String(expectedText) : null }
+            : null;
 
-        const prompt = buildReviewPrompt({
-            questionText: questionText.toString(),
-            answerText: answerText.toString(),
-            targetLevel: targetLevel.toString(),
-        });
+        // 잘못된 rubric/언어는 스트림을 열기 전에 400
+        resolveRubric({ version: rubricVersion, language });
 
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a strict but kind OPIc speaking test evaluator.',
-                },
+        // ✅ ?stream=1 → 진행 상황(progress) 이벤트 후 검증된 JSON을 done 으로 전송
+        const sse = wantsStream(req) ? openSse(req, res) : null;
+        try {
+            const review = await runReview(
                 {
-                    role: 'user',
-                    content: prompt,
+                    questionText,
+                    answerText,
+                    targetLevel,
+                    fluencyMetrics: normalizeFluencyMetrics(fluencyMetrics),
+                    corrections: corrections === true,
+                    rubricVersion,
+                    language,
+                    question,
+                    category,
+                    speech,
                 },
-            ],
-            temperature: 0.3,
-            response_format: { type: 'json_object' }, // JSON 강제
+                sse ? { signal: sse.signal, onProgress: (p) => sse.send('progress', p) } : {}
+            );
+            recordAttempt({
+                learnerId: learnerIdOf(req),
+                questionId: String(questionId),
+                topic: question?.topic,
+                transcript: answerText.toString(),
+                review,
+                source: 'review',
+            });
+
+            // 모델 출력이 questionId / targetLevel 을 덮어쓰지 않도록 review 를 먼저 펼침
+            const result = {
+                ...review,
+                questionId,
+                targetLevel,
+            };
+            if (!sse) return res.json(result);
+            sse.send('done', result);
+            return sse.end();
+        } catch (e) {
+            if (!sse) throw e;
+            return sendSseError(sse, e, '[REVIEW STREAM ERROR]');
+        }
+    } catch (e) {
+        if (e instanceof RubricError) {
+            return res.status(e.status).json({ error: e.code, ...e.details });
+        }
+        if (e instanceof ReviewJsonError) {
+            return res.status(502).json({
+                error: 'invalid_review_json',
+                issues: e.issues,
+                rawContent: e.rawContent,
+            });
+        }
+        console.error('[REVIEW ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+/* ----------------------------- Aggregate reviews ----------------------------- */
+// ✅ 연습 세션의 문항별 리뷰 → 최종 NL~AL 등급 (결정적, LLM 호출 없음)
+app.post('/api/reviews/aggregate', (req, res) => {
+    const { reviews } = req.body || {};
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+        return res.status(400).json({ error: 'reviews_required' });
+    }
+    return res.json(aggregateReviews(reviews));
+});
+
+/* ----------------------------- Rubrics ----------------------------- */
+// ✅ 사용 가능한 채점 기준 버전 / 피드백 언어
+app.get('/api/rubrics', (_req, res) => {
+    try {
+        return res.json({
+            default: defaultRubricVersion(),
+            rubrics: listRubricVersions().map((v) => describeRubric(loadRubric(v))),
         });
+    } catch (e) {
+        console.error('[RUBRICS ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+app.get('/api/rubrics/:version', (req, res) => {
+    try {
+        return res.json(describeRubric(loadRubric(req.params.version)));
+    } catch (e) {
+        if (e instanceof RubricError) {
+            const status = e.code === 'unknown_rubric_version' ? 404 : e.status;
+            return res.status(status).json({ error: e.code, ...e.details });
+        }
+        console.error('[RUBRIC ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+/* ----------------------------- Learner progress ----------------------------- */
+// ✅ IM2 → IH 로 올라가고 있는지: 기록 / 추이 / 약점
+function requireLearner(req, res) {
+    const { learnerId } = req.params;
+    if (!isValidLearnerId(learnerId)) {
+        res.status(400).json({ error: 'invalid_learner_id' });
+        return null;
+    }
+    return denyUnlessOwner(req, res, learnerId) ? null : learnerId;
+}
 
-        let rawContent = completion.choices?.[0]?.message?.content?.trim() || '';
+app.get('/api/learners/:learnerId/history', async (req, res) => {
+    try {
+        const learnerId = requireLearner(req, res);
+        if (!learnerId) return;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const attempts = await history.history(learnerId, {
+            questionId: req.query.questionId ? String(req.query.questionId) : undefined,
+            topic: req.query.topic ? String(req.query.topic) : undefined,
+            limit,
+        });
+        return res.json({ learnerId, count: attempts.length, attempts });
+    } catch (e) {
+        console.error('[HISTORY ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
 
-        // 혹시라도 ```json ... ``` 형태로 올 경우 대비한 방어 로직
-        if (rawContent.startsWith('```')) {
-            rawContent = rawContent
-                .replace(/^```json/i, '')
-                .replace(/^```/, '')
-                .replace(/```$/, '')
-                .trim();
+app.get('/api/learners/:learnerId/progress', async (req, res) => {
+    try {
+        const learnerId = requireLearner(req, res);
+        if (!learnerId) return;
+        const bucket = String(req.query.bucket || 'week');
+        if (!['day', 'week', 'month'].includes(bucket)) {
+            return res.status(400).json({ error: 'invalid_bucket', allowed: ['day', 'week', 'month'] });
         }
+        return res.json(await history.trend(learnerId, { bucket }));
+    } catch (e) {
+        console.error('[PROGRESS ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
 
-        let review;
-        try {
-            review = JSON.parse(rawContent);
-        } catch (e) {
-            console.error('[REVIEW JSON PARSE ERROR] rawContent =', rawContent);
-            return res.status(500).json({
-                error: 'invalid_review_json',
-                rawContent,
-            });
+app.get('/api/learners/:learnerId/weaknesses', async (req, res) => {
+    try {
+        const learnerId = requireLearner(req, res);
+        if (!learnerId) return;
+        return res.json(await history.weaknesses(learnerId));
+    } catch (e) {
+        console.error('[WEAKNESSES ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+/* ----------------------------- Background survey ----------------------------- */
+// ✅ 서베이 응답을 받아 출제 주제를 개인화 (GET은 선택지/규칙 안내)
+app.get('/api/survey', (_req, res) => res.json(surveyOptions()));
+
+app.post('/api/survey', (req, res) => {
+    try {
+        const survey = saveSurvey(req.body || {});
+        return res.status(201).json({ surveyId: survey.id, ...survey });
+    } catch (e) {
+        if (e instanceof SurveyError) {
+            return res.status(e.status).json({ error: e.code, ...e.details });
         }
+        console.error('[SURVEY ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+app.get('/api/survey/:id', (req, res) => {
+    const survey = getSurvey(req.params.id);
+    if (!survey) return res.status(404).json({ error: 'survey_not_found', id: req.params.id });
+    return res.json({ surveyId: survey.id, ...survey });
+});
+
+/* ----------------------------- Mock exam sessions ----------------------------- */
+// ✅ 자기소개 → 서베이 콤보 → 롤플레이 → 고급 문항 순서의 15문항 모의고사
+function sendSessionError(res, e, tag) {
+    if (e instanceof SessionError || e instanceof RubricError) {
+        return res.status(e.status).json({ error: e.code, ...e.details });
+    }
+    if (e instanceof ReviewJsonError) {
+        return res.status(502).json({ error: 'invalid_review_json', issues: e.issues, rawContent: e.rawContent });
+    }
+    console.error(tag, e);
+    return res.status(500).json({ error: 'server_error' });
+}
 
-        // 최소 검증 (score / overallFeedback 정도)
-        if (typeof review.score !== 'number' || !review.overallFeedback) {
-            console.warn('[REVIEW SHAPE WARNING] review =', review);
+app.post('/api/sessions', (req, res) => {
+    try {
+        // 인증을 켠 뒤에는 학습자(또는 관리자)만 세션을 만들 수 있음
+        if (denyUnlessOwner(req, res, learnerIdOf(req))) return;
+        const { topics, targetLevel, surveyId, rubricVersion, language } = req.body || {};
+        if (topics != null && !Array.isArray(topics)) {
+            return res.status(400).json({ error: 'topics_must_be_array' });
+        }
+        let survey = null;
+        if (surveyId) {
+            survey = getSurvey(String(surveyId));
+            if (!survey) return res.status(404).json({ error: 'survey_not_found', id: surveyId });
         }
+        // 세션 전체를 같은 rubric 으로 채점 (시작 시점에 버전 고정)
+        const rubric = resolveRubric({ version: rubricVersion, language });
+        const session = createSession({
+            topics: topics || [],
+            targetLevel,
+            survey,
+            learnerId: learnerIdOf(req),
+            rubricVersion: rubric.rubric.version,
+            language: rubric.language,
+        });
+        return res.status(201).json(summarizeSession(session));
+    } catch (e) {
+        return sendSessionError(res, e, '[SESSION CREATE ERROR]');
+    }
+});
 
+app.get('/api/sessions/:id', (req, res) => {
+    try {
+        const session = requireSession(req.params.id);
+        if (denyUnlessOwner(req, res, session.learnerId)) return;
+        return res.json(summarizeSession(session));
+    } catch (e) {
+        return sendSessionError(res, e, '[SESSION GET ERROR]');
+    }
+});
+
+app.get('/api/sessions/:id/next', (req, res) => {
+    try {
+        const session = requireSession(req.params.id);
+        if (denyUnlessOwner(req, res, session.learnerId)) return;
+        const item = currentItem(session);
+        if (!item) return res.json({ done: true, ...summarizeSession(session) });
+        const { question, ...meta } = item;
         return res.json({
-            questionId,
+            done: false,
+            total: session.form.length,
+            ...meta,
+            question: questionView(question),
+        });
+    } catch (e) {
+        return sendSessionError(res, e, '[SESSION NEXT ERROR]');
+    }
+});
+
+app.post('/api/sessions/:id/answers', metered('review'), async (req, res) => {
+    try {
+        const session = requireSession(req.params.id);
+        if (denyUnlessOwner(req, res, session.learnerId)) return;
+        const { questionId, answerText, fluencyMetrics, words } = req.body || {};
+        const text = (answerText || '').toString().trim();
+        if (!text) return res.status(400).json({ error: 'answer_text_required' });
+        if (fluencyMetrics != null && !normalizeFluencyMetrics(fluencyMetrics)) {
+            return res.status(400).json({ error: 'invalid_fluency_metrics' });
+        }
+
+        const item = currentItem(session);
+        if (!item) return res.status(409).json({ error: 'session_completed' });
+        if (questionId && questionId !== item.question.id) {
+            return res.status(409).json({ error: 'question_mismatch', expected: item.question.id });
+        }
+
+        const review = await runReview({
+            questionText: item.question.text,
+            answerText: text,
+            targetLevel: session.targetLevel,
+            fluencyMetrics: normalizeFluencyMetrics(fluencyMetrics),
+            rubricVersion: session.rubricVersion,
+            language: session.language,
+            question: getQuestion(item.question.id) || item.question,
+            speech: Array.isArray(words) ? { text, words: normalizeWords(words) } : null,
+        });
+        recordAnswer(session, { questionId: item.question.id, answerText: text, review });
+        recordAttempt({
+            learnerId: session.learnerId || learnerIdOf(req),
+            questionId: item.question.id,
+            topic: item.question.topic,
+            transcript: text,
+            review,
+            source: 'session',
+            sessionId: session.id,
+        });
+
+        return res.json({
+            index: item.index,
+            questionId: item.question.id,
+            review,
+            done: session.status === 'completed',
+            result: session.result,
+        });
+    } catch (e) {
+        return sendSessionError(res, e, '[SESSION ANSWER ERROR]');
+    }
+});
+
+/* ------------------------------- Classroom ------------------------------- */
+// ✅ 교사: 클래스/숙제 생성, 명단(roster) 조회, AI 점수 보정
+//    학생: 숙제 문항에 녹음 제출 → 기존 STT + REVIEW 흐름으로 채점
+const classroom = createClassroom({ db });
+
+// ✅ 클래스 라우트는 AUTH_MODE 와 무관하게 교사/학생 자격 증명을 검증 (관리자 라우트처럼)
+//    AUTH_MODE=off 여도 X-Teacher-Id / X-Learner-Id 같은 헤더는 믿지 않음
+app.use(['/api/classes', '/api/assignments', '/api/submissions'], async (req, res, next) => {
+    if (req.identity?.kind !== 'anonymous') return next();
+    try {
+        req.identity = (await auth.verifyCredential(req)) || req.identity;
+        return next();
+    } catch (e) {
+        if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, ...e.details });
+        return next(e);
+    }
+});
+
+const teacherIdOf = (req) => (req.identity?.kind === 'teacher' ? req.identity.subject : null);
+const studentIdOf = (req) => (req.identity?.kind === 'learner' ? req.identity.subject : null);
+
+function assertTeacherOf(req, cls) {
+    if (req.identity?.kind === 'admin') return;
+    const teacherId = teacherIdOf(req);
+    if (!teacherId) throw new ClassroomError('teacher_required', 401);
+    if (cls.teacherId !== teacherId) throw new ClassroomError('forbidden', 403);
+}
+
+// 담당 교사 / 관리자 / 명단의 학생 / 해당 클래스 키
+function assertMemberOf(req, cls) {
+    const { identity } = req;
+    if (identity?.kind === 'admin') return;
+    if (identity?.kind === 'class' && identity.subject === cls.id) return;
+    if (identity?.kind === 'anonymous') throw new ClassroomError('identity_required', 401);
+    if (teacherIdOf(req) === cls.teacherId) return;
+    const learnerId = studentIdOf(req);
+    if (learnerId && cls.students.includes(learnerId)) return;
+    throw new ClassroomError('forbidden', 403);
+}
+
+const isTeacherOf = (req, cls) => req.identity?.kind === 'admin' || teacherIdOf(req) === cls.teacherId;
+
+function sendClassroomError(res, e, tag) {
+    if (e instanceof ClassroomError || e instanceof RubricError) {
+        return res.status(e.status).json({ error: e.code, ...e.details });
+    }
+    if (e instanceof ProviderError) return res.status(e.status).json({ error: e.code });
+    if (e instanceof ReviewJsonError) {
+        return res.status(502).json({ error: 'invalid_review_json', issues: e.issues });
+    }
+    console.error(tag, e);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+function assignmentView(a) {
+    return {
+        ...a,
+        questions: a.questionIds.map((id) => {
+            const q = getQuestion(id);
+            return q ? withVideoInfo(q) : { id, missing: true };
+        }),
+    };
+}
+
+app.post('/api/classes', async (req, res) => {
+    try {
+        // 관리자는 body.teacherId 로 대신 만들 수 있음
+        const admin = req.identity?.kind === 'admin';
+        const teacherId = admin && isValidLearnerId(req.body?.teacherId) ? String(req.body.teacherId) : teacherIdOf(req);
+        if (!teacherId) throw new ClassroomError('teacher_required', 401);
+        const { name, students } = req.body || {};
+        return res.status(201).json(await classroom.createClass({ name, teacherId, students }));
+    } catch (e) {
+        return sendClassroomError(res, e, '[CLASS CREATE ERROR]');
+    }
+});
+
+// 교사는 담당 클래스, 학생은 소속 클래스
+app.get('/api/classes', async (req, res) => {
+    try {
+        const teacherId = teacherIdOf(req);
+        const learnerId = studentIdOf(req);
+        if (!teacherId && !learnerId) throw new ClassroomError('identity_required', 401);
+        const classes = await classroom.listClasses({ teacherId, learnerId });
+        return res.json({ count: classes.length, classes });
+    } catch (e) {
+        return sendClassroomError(res, e, '[CLASS LIST ERROR]');
+    }
+});
+
+app.get('/api/classes/:id', async (req, res) => {
+    try {
+        const cls = await classroom.requireClass(req.params.id);
+        assertMemberOf(req, cls);
+        return res.json(isTeacherOf(req, cls) ? cls : { id: cls.id, name: cls.name, teacherId: cls.teacherId });
+    } catch (e) {
+        return sendClassroomError(res, e, '[CLASS GET ERROR]');
+    }
+});
+
+app.post('/api/classes/:id/students', async (req, res) => {
+    try {
+        const cls = await classroom.requireClass(req.params.id);
+        assertTeacherOf(req, cls);
+        return res.json(await classroom.addStudents(cls, req.body?.learnerIds));
+    } catch (e) {
+        return sendClassroomError(res, e, '[CLASS STUDENTS ERROR]');
+    }
+});
+
+app.delete('/api/classes/:id/students/:learnerId', async (req, res) => {
+    try {
+        const cls = await classroom.requireClass(req.params.id);
+        assertTeacherOf(req, cls);
+        return res.json(await classroom.removeStudent(cls, req.params.learnerId));
+    } catch (e) {
+        return sendClassroomError(res, e, '[CLASS STUDENTS ERROR]');
+    }
+});
+
+// body: { title, questionIds: [...] | topics: [...] (+ count), dueAt, targetLevel }
+app.post('/api/classes/:id/assignments', async (req, res) => {
+    try {
+        const cls = await classroom.requireClass(req.params.id);
+        assertTeacherOf(req, cls);
+        const { title, questionIds, topics, count, dueAt, targetLevel } = req.body || {};
+        const assignment = await classroom.createAssignment(cls, {
+            title,
+            questionIds,
+            topics,
+            count,
+            dueAt,
             targetLevel,
-            ...review,
+            teacherId: cls.teacherId,
         });
+        return res.status(201).json(assignmentView(assignment));
     } catch (e) {
-        console.error('[REVIEW ERROR]', e);
-        return res.status(500).json({ error: 'server_error' });
+        return sendClassroomError(res, e, '[ASSIGNMENT CREATE ERROR]');
+    }
+});
+
+app.get('/api/classes/:id/assignments', async (req, res) => {
+    try {
+        const cls = await classroom.requireClass(req.params.id);
+        assertMemberOf(req, cls);
+        const assignments = await classroom.listAssignments(cls.id);
+        return res.json({ classId: cls.id, count: assignments.length, assignments });
+    } catch (e) {
+        return sendClassroomError(res, e, '[ASSIGNMENT LIST ERROR]');
+    }
+});
+
+app.get('/api/assignments/:id', async (req, res) => {
+    try {
+        const assignment = await classroom.requireAssignment(req.params.id);
+        assertMemberOf(req, await classroom.requireClass(assignment.classId));
+        return res.json(assignmentView(assignment));
+    } catch (e) {
+        return sendClassroomError(res, e, '[ASSIGNMENT GET ERROR]');
+    }
+});
+
+// ✅ 학생 제출: multipart file + questionId (+ analyze=1, pronunciation=1) → STT → REVIEW (숙제의 targetLevel)
+app.post('/api/assignments/:id/submissions', metered('stt', 'review'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'no_file' });
+        const assignment = await classroom.requireAssignment(req.params.id);
+        const cls = await classroom.requireClass(assignment.classId);
+        const learnerId = studentIdOf(req);
+        if (!learnerId) throw new ClassroomError('learner_id_required', 401);
+        if (!cls.students.includes(learnerId)) throw new ClassroomError('not_enrolled', 403, { learnerId });
+
+        const questionId = (req.body?.questionId || '').toString();
+        if (!assignment.questionIds.includes(questionId)) {
+            throw new ClassroomError('question_not_in_assignment', 400, { questionId, allowed: assignment.questionIds });
+        }
+        const question = getQuestion(questionId);
+        if (!question) throw new ClassroomError('question_not_found', 404, { id: questionId });
+
+        const analyze = wantsFlag(req, 'analyze');
+        const pronunciation = wantsFlag(req, 'pronunciation');
+        const stt = await llm.transcribe({
+            buffer: req.file.buffer,
+            filename: req.file.originalname || 'recording.webm',
+            mimetype: req.file.mimetype || 'audio/webm',
+            timestamps: analyze || pronunciation,
+        });
+        const transcript = (stt.text || '').trim();
+        if (!transcript) return res.status(422).json({ error: 'empty_transcript', questionId });
+        const fluency = analyze ? analyzeFluency(stt) : null;
+
+        const review = await runReview({
+            questionText: question.text,
+            answerText: transcript,
+            targetLevel: assignment.targetLevel,
+            fluencyMetrics: fluency,
+            corrections: wantsFlag(req, 'corrections'),
+            language: req.body?.language,
+            question,
+            speech: pronunciation
+                ? { text: transcript, words: stt.words || [], expectedText: req.body?.expectedText || null }
+                : null,
+        });
+        const submission = await classroom.addSubmission(assignment, {
+            learnerId,
+            questionId,
+            transcript,
+            fluency,
+            review,
+        });
+        recordAttempt({
+            learnerId,
+            questionId,
+            topic: question.topic,
+            transcript,
+            review,
+            source: 'assignment',
+        });
+        return res.status(201).json(submission);
+    } catch (e) {
+        return sendClassroomError(res, e, '[SUBMISSION ERROR]');
+    }
+});
+
+// 교사는 전체, 학생은 본인 제출만
+app.get('/api/assignments/:id/submissions', async (req, res) => {
+    try {
+        const assignment = await classroom.requireAssignment(req.params.id);
+        const cls = await classroom.requireClass(assignment.classId);
+        assertMemberOf(req, cls);
+        const learnerId = isTeacherOf(req, cls) ? (req.query.learnerId ? String(req.query.learnerId) : undefined) : studentIdOf(req);
+        if (learnerId === null) throw new ClassroomError('forbidden', 403); // 클래스 키로는 남의 제출을 볼 수 없음
+        const submissions = await classroom.listSubmissions(assignment.id, { learnerId });
+        return res.json({ assignmentId: assignment.id, count: submissions.length, submissions });
+    } catch (e) {
+        return sendClassroomError(res, e, '[SUBMISSION LIST ERROR]');
+    }
+});
+
+app.get('/api/assignments/:id/roster', async (req, res) => {
+    try {
+        const assignment = await classroom.requireAssignment(req.params.id);
+        const cls = await classroom.requireClass(assignment.classId);
+        assertTeacherOf(req, cls);
+        return res.json(await classroom.roster(cls, assignment));
+    } catch (e) {
+        return sendClassroomError(res, e, '[ROSTER ERROR]');
+    }
+});
+
+app.get('/api/submissions/:id', async (req, res) => {
+    try {
+        const submission = await classroom.requireSubmission(req.params.id);
+        const cls = await classroom.requireClass(submission.classId);
+        if (!isTeacherOf(req, cls) && studentIdOf(req) !== submission.learnerId) {
+            throw new ClassroomError('forbidden', 403);
+        }
+        return res.json(submission);
+    } catch (e) {
+        return sendClassroomError(res, e, '[SUBMISSION GET ERROR]');
+    }
+});
+
+// body: { score: 1~5 | null(보정 취소), level?, comment? }
+app.post('/api/submissions/:id/override', async (req, res) => {
+    try {
+        const submission = await classroom.requireSubmission(req.params.id);
+        const cls = await classroom.requireClass(submission.classId);
+        assertTeacherOf(req, cls);
+        const { score, level, comment } = req.body || {};
+        if (score === undefined) throw new ClassroomError('score_required');
+        return res.json(await classroom.overrideSubmission(submission, {
+            score,
+            level,
+            comment,
+            teacherId: cls.teacherId,
+        }));
+    } catch (e) {
+        return sendClassroomError(res, e, '[OVERRIDE ERROR]');
     }
 });
 
 /* ---------------------------------- TTS ----------------------------------- */
-// (기존 TTS 코드 ... )
-app.post(['/tts', '/api/tts'], async (req, res) => {
+// ✅ /tts 와 모범 답안 오디오가 같이 쓰는 합성 → /media/tts/:id URL
+async function synthesizeToUrl(req, text, voice) {
+    const voiceId = pickVoice(voice);
+    const format = 'mp3';
+
+    let id;
+    let model;
+    let cached = false;
+    if (ttsCache) {
+        ({ id, model, cached } = await ttsCache.synthesize({ text, voice: voiceId, format }));
+    } else {
+        const speech = await llm.synthesize({ text, voice: voiceId, format });
+        id = await media.put(speech.buf, speech.mime);
+        model = speech.model;
+    }
+    const audioUrl = `${req.protocol}://${req.get('host')}/media/tts/${id}`;
+    return { audioUrl, model, voice: voiceId, provider: llm.name, cached };
+}
+
+app.post(['/tts', '/api/tts'], metered('tts'), async (req, res) => {
     try {
         const { text, voice } = req.body || {};
         const input = (text || '').toString().trim();
         if (!input) return res.status(400).json({ error: 'text_required' });
-        const model = process.env.TTS_MODEL || 'gpt-4o-mini-tts';
-        const VOICES = ['nova', 'shimmer', 'echo', 'onyx', 'fable', 'alloy', 'ash', 'sage', 'coral'];
-        const requested = (voice || process.env.TTS_VOICE || 'sage').toLowerCase();
-        const voiceId = VOICES.includes(requested) ? requested : 'sage';
-        const format = 'mp3';
-        const speech = await openai.audio.speech.create({ model, voice: voiceId, input, format });
-        const arrayBuf = await speech.arrayBuffer();
-        const buf = Buffer.from(arrayBuf);
-        const id = putMedia(buf, 'audio/mpeg');
-        const audioUrl = `${req.protocol}://${req.get('host')}/media/tts/${id}`;
-        return res.json({ audioUrl, model, voice: voiceId, provider: 'openai' });
+        return res.json(await synthesizeToUrl(req, input, voice));
     } catch (e) {
         console.error('[TTS ERROR]', e?.response?.data || e);
         return res.status(500).json({ error: 'tts_failed' });
@@ -275,150 +1185,353 @@ app.post(['/tts', '/api/tts'], async (req, res) => {
 
 /* ----------------------------------- STT ---------------------------------- */
 // (기존 STT 코드 ... )
-app.post(['/stt', '/api/stt'], upload.single('file'), async (req, res) => {
+// ✅ ?analyze=1 (또는 form 필드 analyze=true) → 단어 타임스탬프 + 유창성 리포트
+//    ?pronunciation=1 (+ expectedText) → 발음 리포트 (팁 언어는 language, 기본 ko)
+//    OpenAI STT 는 단어 신뢰도가 없어 expectedText 없이는 mode 'unavailable' (reason 'no_confidence')
+function wantsFlag(req, name) {
+    const v = req.query?.[name] ?? req.body?.[name];
+    return v === '1' || v === 'true' || v === true;
+}
+
+app.post(['/stt', '/api/stt'], metered('stt'), upload.single('file'), async (req, res) => {
     try {
-        if (!process.env.OPENAI_API_KEY) return res.status(500).json({ error: 'openai_api_key_missing' });
         if (!req.file) return res.status(400).json({ error: 'no_file' });
-        const filename = req.file.originalname || 'recording.webm';
-        const mimetype = req.file.mimetype || 'audio/webm';
-
-        // ✅ Node.js 18+ 내장 FormData/File 사용
-        const form = new FormData();
-        form.append('model', process.env.STT_MODEL || 'gpt-4o-transcribe');
-        form.append('file', new File([req.file.buffer], filename, { type: mimetype }));
-
-        // ✅ Node.js 18+ 내장 fetch 사용 (OpenAI는 호환됨)
-        const r = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-            method: 'POST',
-            headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
-            body: form,
+        const analyze = wantsFlag(req, 'analyze');
+        const pronunciation = wantsFlag(req, 'pronunciation');
+        const timestamps = analyze || pronunciation || wantsFlag(req, 'words');
+        const result = await llm.transcribe({
+            buffer: req.file.buffer,
+            filename: req.file.originalname || 'recording.webm',
+            mimetype: req.file.mimetype || 'audio/webm',
+            timestamps,
+        });
+        if (!timestamps) return res.json({ text: result.text });
+        return res.json({
+            text: result.text,
+            words: result.words || [],
+            duration: result.duration ?? null,
+            ...(analyze ? { fluency: analyzeFluency(result) } : {}),
+            ...(pronunciation
+                ? {
+                    pronunciation: assessPronunciation({
+                        ...result,
+                        expectedText: req.body?.expectedText || null,
+                        language: req.query?.language ?? req.body?.language,
+                    }),
+                }
+                : {}),
         });
-
-        const ct = r.headers.get('content-type') || '';
-        const raw = await r.text().catch(() => '');
-        if (!r.ok) return res.status(r.status).send(raw || JSON.stringify({ error: 'upstream_error' }));
-        const j = ct.includes('application/json') ? JSON.parse(raw) : { text: raw };
-        return res.json({ text: j.text || '' });
     } catch (e) {
+        if (e instanceof ProviderError) {
+            if (e.upstreamBody) return res.status(e.status).send(e.upstreamBody);
+            return res.status(e.status).json({ error: e.code });
+        }
         console.error('[STT ERROR]', e);
         return res.status(500).json({ error: 'stt_failed' });
     }
 });
 
+/* ------------------------- Speak & grade (STT → REVIEW) ------------------------- */
+// ✅ 녹음 파일 + questionId 한 번에: 질문 텍스트는 questions.json에서 직접 조회
+//    ?stream=1 이면 SSE로 진행 상황 (transcribing → reviewing → done)
+//    ?pronunciation=1 (+ expectedText) → review.pronunciation 에 발음 리포트
+app.post('/api/answers/evaluate', metered('stt', 'review'), upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'no_file' });
+    const { questionId } = req.body || {};
+    const question = questionId ? getQuestion(String(questionId)) : null;
+    if (!question) return res.status(404).json({ error: 'question_not_found', id: questionId ?? null });
+    // 세션과 같은 기준: OPIc 등급만 (그대로 프롬프트에 들어가므로)
+    const targetLevel = (req.body.targetLevel || 'IM2').toString().toUpperCase();
+    if (!OPIC_LEVELS.includes(targetLevel)) {
+        return res.status(400).json({ error: 'invalid_target_level', allowed: OPIC_LEVELS });
+    }
+    const analyze = wantsFlag(req, 'analyze');
+    const pronunciation = wantsFlag(req, 'pronunciation');
+    const { rubricVersion, language, expectedText } = req.body;
+    try {
+        resolveRubric({ version: rubricVersion, language });
+    } catch (e) {
+        if (e instanceof RubricError) return res.status(e.status).json({ error: e.code, ...e.details });
+        // 핸들러 밖으로 던지면 처리되지 않은 rejection 으로 프로세스가 죽음
+        console.error('[EVALUATE ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+
+    const sse = wantsStream(req) ? openSse(req, res) : null;
+    const progress = (stage, extra = {}) => sse?.send('progress', { stage, ...extra });
+
+    try {
+        progress('transcribing');
+        const stt = await llm.transcribe({
+            buffer: req.file.buffer,
+            filename: req.file.originalname || 'recording.webm',
+            mimetype: req.file.mimetype || 'audio/webm',
+            timestamps: analyze || pronunciation,
+        });
+        const transcript = (stt.text || '').trim();
+        const fluency = analyze ? analyzeFluency(stt) : null;
+        sse?.send('transcript', { transcript, fluency });
+        if (sse?.closed) return;
+
+        if (!transcript) {
+            const body = { error: 'empty_transcript', questionId: question.id };
+            if (sse) {
+                sse.send('error', body);
+                return sse.end();
+            }
+            return res.status(422).json(body);
+        }
+
+        const review = await runReview({
+            questionText: question.text,
+            answerText: transcript,
+            targetLevel,
+            fluencyMetrics: fluency,
+            corrections: wantsFlag(req, 'corrections'),
+            rubricVersion,
+            language,
+            question,
+            speech: pronunciation ? { text: transcript, words: stt.words || [], expectedText: expectedText || null } : null,
+        }, sse ? { signal: sse.signal, onProgress: (p) => sse.send('progress', p) } : {});
+
+        recordAttempt({
+            learnerId: learnerIdOf(req),
+            questionId: question.id,
+            topic: question.topic,
+            transcript,
+            review,
+            source: 'evaluate',
+        });
+
+        const result = {
+            questionId: question.id,
+            questionText: question.text,
+            targetLevel,
+            transcript,
+            ...(fluency ? { fluency } : {}),
+            review,
+        };
+        if (sse) {
+            sse.send('done', result);
+            return sse.end();
+        }
+        return res.json(result);
+    } catch (e) {
+        let status = 500;
+        let body = { error: 'server_error' };
+        if (e instanceof ProviderError) {
+            status = e.status;
+            body = { error: e.code };
+        } else if (e instanceof ReviewJsonError) {
+            status = 502;
+            body = { error: 'invalid_review_json', issues: e.issues };
+        } else {
+            console.error('[EVALUATE ERROR]', e);
+        }
+        if (sse) {
+            sse.send('error', body);
+            return sse.end();
+        }
+        return res.status(status).json(body);
+    }
+});
+
 /* ----------------------------- Serve TTS media ----------------------------- */
-// (기존 TTS media 서빙 코드 ... )
-app.head('/media/tts/:id', (req, res) => {
-    const item = getMedia(req.params.id);
-    if (!item) return res.status(404).end();
-    res.setHeader('Content-Type', item.mime || 'audio/mpeg');
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
-    res.setHeader('Content-Length', String(item.buf.length));
-    return res.status(200).end();
-});
-app.get('/media/tts/:id', (req, res) => {
-    const item = getMedia(req.params.id);
-    if (!item) return res.status(404).send('Not found');
-    const buf = item.buf;
-    const total = buf.length;
-    const range = req.headers.range;
-    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Content-Type', item.mime || 'audio/mpeg');
-    if (!range) {
-        res.setHeader('Content-Length', String(total));
-        return res.status(200).end(buf);
-    }
-    const m = /^bytes=(\d*)-(\d*)$/.exec(range);
-    if (!m) {
-        res.setHeader('Content-Length', String(total));
-        return res.status(200).end(buf);
-    }
-    let start = m[1] ? parseInt(m[1], 10) : 0;
-    let end = m[2] ? parseInt(m[2], 10) : total - 1;
-    if (isNaN(start) || isNaN(end) || start > end || start >= total) {
-        return res.status(416).set('Content-Range', `bytes */${total}`).end();
+async function serveMedia(req, res) {
+    try {
+        const item = (await media.get(req.params.id)) || (ttsCache && (await ttsCache.get(req.params.id)));
+        if (!item) return res.status(404).send('Not found');
+        const total = item.buf.length;
+        res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', item.mime || 'audio/mpeg');
+
+        const range = parseRange(req.headers.range, total);
+        if (range === 'unsatisfiable') {
+            return res.status(416).set('Content-Range', `bytes */${total}`).end();
+        }
+        const { start, end } = range || { start: 0, end: total - 1 };
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${total}`);
+        }
+        res.setHeader('Content-Length', String(end - start + 1));
+        if (req.method === 'HEAD') return res.end();
+        return res.end(item.buf.subarray(start, end + 1));
+    } catch (e) {
+        console.error('[MEDIA ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+}
+
+app.head('/media/tts/:id', serveMedia);
+app.get('/media/tts/:id', serveMedia);
+
+/* ----------------------------- Question bank ----------------------------- */
+// ✅ 프론트가 자체 복사본 대신 questions.json을 그대로 받아가도록 노출
+//    videoStale: 질문 텍스트가 바뀌어 영상이 더 이상 맞지 않음 (null = 판단 불가)
+//    (관리자가 텍스트를 고쳐 다시 만들 영상도 새 영상을 받기 전까지 stale)
+function questionView(q) {
+    const talk = loadTalksCached().get(q.id);
+    const regenerate = videoRegenerations.pending(q.id, talk);
+    const freshness = videoFreshness(q, regenerate ? { ...talk, regenerate } : talk, DEFAULT_SOURCE_IMAGE_URL);
+    return {
+        ...withVideoInfo(q),
+        videoStale: freshness === 'stale' ? true : freshness === 'fresh' ? false : null,
+    };
+}
+
+function parseQuestionFilter(query) {
+    const type = query.type ? String(query.type) : undefined;
+    const topic = query.topic ? String(query.topic) : undefined;
+    if (type && !QUESTION_TYPES.includes(type)) {
+        return { error: { error: 'invalid_type', allowed: QUESTION_TYPES } };
+    }
+    return { type, topic };
+}
+
+app.get('/api/questions', (req, res) => {
+    const filter = parseQuestionFilter(req.query);
+    if (filter.error) return res.status(400).json(filter.error);
+    const questions = filterQuestions(filter).map(questionView);
+    return res.json({ count: questions.length, questions });
+});
+
+// ⚠️ '/api/questions/:id' 보다 먼저 등록해야 함
+app.get('/api/questions/random', (req, res) => {
+    const filter = parseQuestionFilter(req.query);
+    if (filter.error) return res.status(400).json(filter.error);
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 1, 1), 20);
+    const picked = pickRandom(filterQuestions(filter), count).map(questionView);
+    if (picked.length === 0) return res.status(404).json({ error: 'no_questions', ...filter });
+    return res.json(count === 1 ? picked[0] : { count: picked.length, questions: picked });
+});
+
+app.get('/api/questions/:id', (req, res) => {
+    const q = getQuestion(req.params.id);
+    if (!q) return res.status(404).json({ error: 'question_not_found', id: req.params.id });
+    return res.json(questionView(q));
+});
+
+/* ------------------------------ Model answers ------------------------------ */
+// ✅ "IH 답변은 어떻게 들려?" — 레벨별 모범 답안 (질문+레벨당 캐시)
+//    ?audio=1 이면 /api/tts 경로로 합성한 audioUrl 포함 (voice 선택 가능)
+const modelAnswers = createModelAnswers({ llm, db });
+
+// review 는 캐시에 없어서 새로 만들 때만, tts 는 오디오를 만들 때마다 차감
+app.get('/api/questions/:id/model-answer', async (req, res) => {
+    try {
+        const q = getQuestion(req.params.id);
+        if (!q) return res.status(404).json({ error: 'question_not_found', id: req.params.id });
+        const level = String(req.query.level || 'IH').toUpperCase();
+        if (!MODEL_ANSWER_LEVELS.includes(level)) {
+            return res.status(400).json({ error: 'invalid_level', allowed: MODEL_ANSWER_LEVELS });
+        }
+        const audio = wantsFlag(req, 'audio');
+        const buckets = [...((await modelAnswers.cached(q, level)) ? [] : ['review']), ...(audio ? ['tts'] : [])];
+        if (!(await charge(req, res, buckets))) return;
+
+        const { id, createdAt, questionId, textHash, ...result } = await modelAnswers.get(q, level);
+        const body = { questionId: q.id, questionText: q.text, level, ...result };
+        if (audio) body.audio = await synthesizeToUrl(req, result.answer, req.query.voice);
+        return res.json(body);
+    } catch (e) {
+        if (e instanceof ModelAnswerError) {
+            return res.status(502).json({ error: e.code, rawContent: e.rawContent });
+        }
+        console.error('[MODEL ANSWER ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
     }
-    end = Math.min(end, total - 1);
-    const chunk = buf.subarray(start, end + 1);
-    res.status(206);
-    res.setHeader('Content-Range', `bytes ${start}-${end}/${total}`);
-    res.setHeader('Content-Length', String(chunk.length));
-    return res.end(chunk);
 });
 
 /* ----------------------------- Serve avatar videos ----------------------------- */
-app.get(['/video/:id', '/api/video/:id'], (req, res) => {
+// ✅ 모바일 Safari 탐색(seek)용: HEAD, ETag/Last-Modified, 304, 206 Range 지원
+const VIDEO_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function serveVideo(req, res) {
     const { id } = req.params;
-    const filePath = path.join(__dirname, 'videos', `${id}.mp4`);
+    // 경로 조작 방지: 형식 + 질문 은행에 있는 id만 허용
+    if (!VIDEO_ID_RE.test(id) || !getQuestion(id)) {
+        return res.status(404).json({ error: 'video_not_found', id });
+    }
 
-    if (!fs.existsSync(filePath)) {
+    const filePath = videoPath(id);
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch {
         return res.status(404).json({ error: 'video_not_found', id });
     }
 
-    // 단순 파일 서빙 (스트리밍 최적화 필요하면 나중에 range 처리 추가 가능)
-    return res.sendFile(filePath);
-});
+    const total = stat.size;
+    const lastModified = stat.mtime;
+    const etag = `"${total.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+    // 영상은 재생성될 수 있으므로 immutable 대신 재검증
+    res.setHeader('Cache-Control', 'public, max-age=3600, must-revalidate');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    if (isNotModified(req, { etag, lastModified })) return res.status(304).end();
+
+    const range = rangeStillValid(req, { etag, lastModified })
+        ? parseRange(req.headers.range, total)
+        : null;
+    if (range === 'unsatisfiable') {
+        return res.status(416).set('Content-Range', `bytes */${total}`).end();
+    }
+
+    const { start, end } = range || { start: 0, end: total - 1 };
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${total}`);
+    }
+    res.setHeader('Content-Length', String(end - start + 1));
+    if (req.method === 'HEAD' || total === 0) return res.end();
+
+    // pipeline: 클라이언트가 중간에 끊으면(Safari range 요청) 읽기 스트림도 닫아 fd 누수 방지
+    return pipeline(fs.createReadStream(filePath, { start, end }), res, (e) => {
+        if (e && e.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('[VIDEO STREAM ERROR]', e);
+    });
+}
+
+app.head(['/video/:id', '/api/video/:id'], serveVideo);
+app.get(['/video/:id', '/api/video/:id'], serveVideo);
 
 // ====================================================================
 // ▼▼▼▼▼▼ D-ID POST /talks "1크레딧 테스트" 라우트 ▼▼▼▼▼▼
 // ====================================================================
-app.post('/api/test-did-talk', async (req, res) => {
+app.post('/api/test-did-talk', requireAdmin, async (req, res) => {
     if (!process.env.D_ID_API_KEY) {
         return res.status(500).json({ error: 'D_ID_API_KEY가 설정되어 있지 않습니다.' });
     }
 
-    // ✅ 1) 여기를 네가 사용하는 아바타 이미지 URL로 교체해줘
-    //    반드시 외부에서 접근 가능한 https 이미지여야 함
-    const SOURCE_IMAGE_URL = 'https://illustrious-hummingbird-0af3bb.netlify.app/avatar.png';
-    // ✅ 2) 기본 질문 텍스트 (진짜 OPIc 질문으로 바꿔도 됨)
+    // ✅ 아바타 이미지는 DID_SOURCE_IMAGE_URL (영상 파이프라인과 동일)
+    // ✅ 기본 질문 텍스트 (진짜 OPIc 질문으로 바꿔도 됨)
     const scriptText = 'Can you tell me about your hometown and what you like about living there?';
 
-    // ✅ 3) 인증 헤더 (GET /credits에서 쓰던 방식 그대로)
-    const authHeader = `Basic ${Buffer.from(process.env.D_ID_API_KEY).toString('base64')}`;
-
     try {
-        const body = {
-            source_url: SOURCE_IMAGE_URL,
-            script: {
-                type: 'text',
-                input: scriptText
-                // 필요하면 여기서 provider (elevenlabs 등) 추가 가능
-            }
-        };
-
-        const response = await fetch('https://api.d-id.com/talks', {
-            method: 'POST',
-            headers: {
-                'Authorization': authHeader,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
+        const { ok, status, json } = await createDidClient().createTalk({
+            text: scriptText,
+            sourceUrl: DEFAULT_SOURCE_IMAGE_URL,
         });
 
-        const text = await response.text();
-        let json;
-        try {
-            json = JSON.parse(text);
-        } catch {
-            json = { raw: text };
-        }
-
-        console.log('D-ID /talks status:', response.status);
+        console.log('D-ID /talks status:', status);
         console.log('D-ID /talks response body:', json);
 
         // 4xx/5xx는 그대로 프록시해서 프론트에서 원인 볼 수 있게
-        if (!response.ok) {
-            return res.status(response.status).json({
+        if (!ok) {
+            return res.status(status).json({
                 error: 'd-id_talk_failed',
-                status: response.status,
+                status,
                 details: json
             });
         }
 
         // ✅ 성공: talk id만 먼저 반환
-        // (포트폴리오용 배치 스크립트에서는 여기서 id를 받아서
-        //  나중에 GET /talks/{id} → result_url → mp4 다운로드 하는 구조로 확장)
+        // (배치 생성/다운로드는 video-pipeline.js 에서 처리)
         return res.json({
             message: 'D-ID /talks 요청 성공',
             talk: json
@@ -430,6 +1543,147 @@ app.post('/api/test-did-talk', async (req, res) => {
 });
 
 
+/* ---------------------------------- Admin ---------------------------------- */
+// ✅ ADMIN_API_KEY 로만 접근: API 키 발급/폐기, 토큰 발급, identity 별 사용량
+function sendAuthError(res, e, tag) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, ...e.details });
+    console.error(tag, e);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        const { kind, subject, label, limits } = req.body || {};
+        const key = await auth.createApiKey({ kind, subject, label, limits: normalizeLimits(limits) });
+        return res.status(201).json(key);
+    } catch (e) {
+        return sendAuthError(res, e, '[ADMIN KEY CREATE ERROR]');
+    }
+});
+
+app.get('/api/admin/keys', requireAdmin, async (_req, res) => {
+    try {
+        return res.json({ keys: await auth.listApiKeys() });
+    } catch (e) {
+        return sendAuthError(res, e, '[ADMIN KEY LIST ERROR]');
+    }
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const key = await auth.revokeApiKey(req.params.id);
+        if (!key) return res.status(404).json({ error: 'key_not_found', id: req.params.id });
+        return res.json(key);
+    } catch (e) {
+        return sendAuthError(res, e, '[ADMIN KEY REVOKE ERROR]');
+    }
+});
+
+app.post('/api/admin/tokens', requireAdmin, (req, res) => {
+    try {
+        const { kind, subject, ttlSec } = req.body || {};
+        const ttl = ttlSec != null ? Number(ttlSec) : undefined;
+        if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+            return res.status(400).json({ error: 'invalid_ttl' });
+        }
+        return res.status(201).json({ kind, subject, ...auth.issueToken({ kind, subject, ttlSec: ttl }) });
+    } catch (e) {
+        return sendAuthError(res, e, '[ADMIN TOKEN ERROR]');
+    }
+});
+
+// ?day=YYYY-MM-DD (기본 오늘, UTC) &identity=learner:abc
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+        const day = req.query.day ? String(req.query.day) : dayKey();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: 'invalid_day' });
+        const identities = await quotas.report({ day, identity: req.query.identity ? String(req.query.identity) : undefined });
+        return res.json({ day, defaults: quotas.limits, identities });
+    } catch (e) {
+        console.error('[ADMIN USAGE ERROR]', e);
+        return res.status(500).json({ error: 'server_error' });
+    }
+});
+
+/* ------------------------------ Admin: question bank ------------------------------ */
+// ✅ questions.json 을 손으로 고치고 재배포하지 않도록: 생성 / 수정 / 은퇴 / 순서 변경 (+ 버전 기록)
+//    편집본은 DB 에 저장 → 시작할 때 불러와 questions.json 대신 사용
+const videoRegenerations = createRegenerationMarks(db);
+await videoRegenerations.load();
+const questionBank = createQuestionBank({ db, regenerations: videoRegenerations });
+if (await loadQuestionOverlay(db)) console.log('📝 question bank: using edited copy from DB');
+
+function sendQuestionBankError(res, e, tag) {
+    if (e instanceof QuestionBankError) return res.status(e.status).json({ error: e.code, ...e.details });
+    console.error(tag, e);
+    return res.status(500).json({ error: 'server_error' });
+}
+
+// 은퇴한 문항 포함
+app.get('/api/admin/questions', requireAdmin, (_req, res) => {
+    const questions = questionBank.list().map(questionView);
+    return res.json({ count: questions.length, questions });
+});
+
+// ⚠️ '/api/admin/questions/:id' 보다 먼저 등록해야 함
+app.get('/api/admin/questions/history', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const versions = await questionBank.history({
+            questionId: req.query.questionId ? String(req.query.questionId) : undefined,
+            limit,
+        });
+        return res.json({ count: versions.length, versions });
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION HISTORY ERROR]');
+    }
+});
+
+// body: { ids: [...] } — 적힌 문항끼리 순서를 바꿈
+app.post('/api/admin/questions/reorder', requireAdmin, async (req, res) => {
+    try {
+        return res.json(await questionBank.reorder(req.body?.ids, { actor: req.identity.id }));
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION REORDER ERROR]');
+    }
+});
+
+// body: { id, type, topic, text, position? }
+app.post('/api/admin/questions', requireAdmin, async (req, res) => {
+    try {
+        const result = await questionBank.create(req.body, { actor: req.identity.id });
+        return res.status(201).json({ ...result, question: questionView(result.question) });
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION CREATE ERROR]');
+    }
+});
+
+// body: { type?, topic?, text? } — 텍스트가 바뀌면 영상 재생성 대상 (video: 'pending' → 다음 video-pipeline 실행 때 다시 만듦)
+app.put('/api/admin/questions/:id', requireAdmin, async (req, res) => {
+    try {
+        const result = await questionBank.update(req.params.id, req.body, { actor: req.identity.id });
+        return res.json({ ...result, question: questionView(result.question) });
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION UPDATE ERROR]');
+    }
+});
+
+app.post('/api/admin/questions/:id/retire', requireAdmin, async (req, res) => {
+    try {
+        return res.json(await questionBank.setRetired(req.params.id, true, { actor: req.identity.id }));
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION RETIRE ERROR]');
+    }
+});
+
+app.post('/api/admin/questions/:id/restore', requireAdmin, async (req, res) => {
+    try {
+        return res.json(await questionBank.setRetired(req.params.id, false, { actor: req.identity.id }));
+    } catch (e) {
+        return sendQuestionBankError(res, e, '[QUESTION RESTORE ERROR]');
+    }
+});
+
 /* ------------------------------ 404/에러 핸들러 ---------------------------- */
 app.use((req, res) => res.status(404).json({ error: 'not_found', path: req.path }));
 // eslint-disable-next-line no-unused-vars
@@ -439,7 +1693,8 @@ app.use((err, _req, res, _next) => {
 });
 
 /* --------------------------------- Listen --------------------------------- */
-app.listen(port, () => {
-    console.log(`Server on :${port}`);
+// PORT=0 이면 빈 포트 — 실제 포트를 로그로 남김 (테스트가 이 줄을 읽음)
+const server = app.listen(port, () => {
+    console.log(`Server on :${server.address().port}`);
     console.log('Allowed origins:', allowedOrigins.join(', '));
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, authConfig } from '../lib/auth.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+
+const config = (env = {}) => authConfig({ AUTH_TOKEN_SECRET: 'test-secret', ADMIN_API_KEY: 'admin-key', ...env });
+
+function request(headers = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return { ip: '10.0.0.1', get: (name) => lower[name.toLowerCase()] };
+}
+
+const bearer = (credential) => request({ Authorization: `Bearer ${credential}` });
+
+test('a signed token identifies its subject', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'required' }) });
+    const { token } = auth.issueToken({ kind: 'learner', subject: 'stu1' });
+
+    const identity = await auth.identify(bearer(token));
+    assert.equal(identity.id, 'learner:stu1');
+    assert.equal(identity.via, 'token');
+});
+
+test('a tampered token is rejected', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'required' }) });
+    const { token } = auth.issueToken({ kind: 'learner', subject: 'stu1' });
+    const [version, , sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ kind: 'learner', sub: 'stu2', iat: 0, exp: 4102444800 })).toString('base64url');
+
+    await assert.rejects(auth.identify(bearer(`${version}.${forged}.${sig}`)), { code: 'invalid_credentials', status: 401 });
+    await assert.rejects(auth.identify(bearer(`${token.slice(0, -2)}xx`)), { code: 'invalid_credentials' });
+});
+
+test('a token signed with another secret is rejected', async () => {
+    const other = createAuth({ db: createMemoryDb(), config: config({ AUTH_TOKEN_SECRET: 'other-secret' }) });
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'required' }) });
+    const { token } = other.issueToken({ kind: 'learner', subject: 'stu1' });
+
+    await assert.rejects(auth.identify(bearer(token)), { code: 'invalid_credentials' });
+});
+
+test('an expired token is rejected with its expiry time', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'required' }) });
+    const { token, expiresAt } = auth.issueToken({ kind: 'learner', subject: 'stu1', ttlSec: -1 });
+
+    await assert.rejects(auth.identify(bearer(token)), (e) => {
+        assert.equal(e.code, 'token_expired');
+        assert.equal(e.status, 401);
+        assert.equal(e.details.expiredAt, expiresAt);
+        return true;
+    });
+});
+
+test('a revoked api key is rejected', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'required' }) });
+    const { id, key } = await auth.createApiKey({ kind: 'class', subject: 'cls_1', label: 'room 3' });
+
+    assert.equal((await auth.identify(request({ 'X-API-Key': key }))).id, 'class:cls_1');
+    assert.ok((await auth.revokeApiKey(id)).revokedAt);
+    await assert.rejects(auth.identify(request({ 'X-API-Key': key })), { code: 'invalid_credentials' });
+    await assert.rejects(auth.identify(bearer(key)), { code: 'invalid_credentials' });
+});
+
+test('a revoked api key stays rejected after a restart', async () => {
+    const db = createMemoryDb();
+    const before = createAuth({ db, config: config({ AUTH_MODE: 'required' }) });
+    const { id, key } = await before.createApiKey({ kind: 'learner', subject: 'stu1' });
+    await before.revokeApiKey(id);
+
+    const after = createAuth({ db, config: config({ AUTH_MODE: 'required' }) });
+    await assert.rejects(after.identify(bearer(key)), { code: 'invalid_credentials' });
+});
+
+test('api key listings never include the key hash', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config() });
+    await auth.createApiKey({ kind: 'learner', subject: 'stu1' });
+
+    const [listed] = await auth.listApiKeys();
+    assert.equal(listed.keyHash, undefined);
+    assert.equal(listed.key, undefined);
+    assert.match(listed.prefix, /^opk_/);
+});
+
+test('off mode ignores credentials but still recognises the admin key', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config() });
+
+    assert.equal((await auth.identify(bearer('v1.garbage.sig'))).kind, 'anonymous');
+    assert.equal((await auth.identify(bearer('admin-key'))).kind, 'admin');
+    await assert.rejects(auth.verifyCredential(bearer('v1.garbage.sig')), { code: 'invalid_credentials' });
+});
+
+test('optional mode lets requests without credentials through as anonymous', async () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config({ AUTH_MODE: 'optional' }) });
+
+    assert.deepEqual(await auth.identify(request()), { id: 'ip:10.0.0.1', kind: 'anonymous', subject: '10.0.0.1' });
+    await assert.rejects(auth.identify(bearer('opk_unknown')), { code: 'invalid_credentials' });
+});
+
+test('tokens are only issued for known kinds and valid subjects', () => {
+    const auth = createAuth({ db: createMemoryDb(), config: config() });
+
+    assert.throws(() => auth.issueToken({ kind: 'root', subject: 'x' }), { code: 'invalid_kind', status: 400 });
+    assert.throws(() => auth.issueToken({ kind: 'learner', subject: 'bad id!' }), { code: 'invalid_subject' });
+    const noSecret = createAuth({ db: createMemoryDb(), config: authConfig({}) });
+    assert.throws(() => noSecret.issueToken({ kind: 'learner', subject: 'stu1' }), { code: 'token_secret_missing', status: 500 });
+});
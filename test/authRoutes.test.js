@@ -0,0 +1,196 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, authConfig } from '../lib/auth.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { startServer } from './helpers/server.js';
+
+const SECRET = 'route-test-secret';
+const ADMIN = 'route-test-admin';
+const admin = { headers: { 'x-api-key': ADMIN } };
+
+// 토큰은 서명만 맞으면 되므로 같은 secret 으로 테스트에서 직접 발급
+const signer = createAuth({ db: createMemoryDb(), config: authConfig({ AUTH_TOKEN_SECRET: SECRET }) });
+const tokenFor = (subject, opts = {}) => signer.issueToken({ kind: 'learner', subject, ...opts }).token;
+
+const review = (answerText = 'I like camping with my family on weekends.') => ({
+    questionId: 'adv_01',
+    questionText: 'Tell me about your weekend.',
+    answerText,
+    targetLevel: 'IH',
+});
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        AUTH_MODE: 'required',
+        AUTH_TOKEN_SECRET: SECRET,
+        ADMIN_API_KEY: ADMIN,
+        RATE_LIMIT_REVIEW_PER_MIN: '2',
+    });
+});
+
+after(() => server?.stop());
+
+test('metered routes need a credential when auth is required', async () => {
+    const res = await server.post('/api/ask', { question: 'hi' });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'auth_required');
+
+    const ok = await server.post('/api/ask', { question: 'hi' }, { token: tokenFor('wiring1') });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.answer);
+});
+
+test('a tampered token is rejected with 401', async () => {
+    const [version, payload, sig] = tokenFor('stu1').split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'admin' }))
+        .toString('base64url');
+
+    const res = await server.post('/api/ask', { question: 'hi' }, { token: `${version}.${forged}.${sig}` });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'invalid_credentials');
+});
+
+test('an expired token is rejected with 401', async () => {
+    const res = await server.get('/api/rubrics', { token: tokenFor('stu1', { ttlSec: -60 }) });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'token_expired');
+    assert.ok(res.body.expiredAt);
+});
+
+test('a revoked api key stops working', async () => {
+    const created = await server.post('/api/admin/keys', { kind: 'learner', subject: 'keyholder' }, admin);
+    assert.equal(created.status, 201);
+    const { id, key } = created.body;
+    assert.equal((await server.post('/api/ask', { question: 'hi' }, { token: key })).status, 200);
+
+    const revoked = await server.delete(`/api/admin/keys/${id}`, admin);
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.revokedAt);
+
+    const res = await server.post('/api/ask', { question: 'hi' }, { headers: { 'x-api-key': key } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'invalid_credentials');
+});
+
+test('admin routes need the admin key', async () => {
+    const anon = await server.get('/api/admin/keys');
+    assert.equal(anon.status, 401);
+    assert.equal(anon.body.error, 'admin_required');
+    assert.equal((await server.get('/api/admin/keys', { token: tokenFor('stu1') })).status, 401);
+    assert.equal((await server.get('/api/admin/keys', admin)).status, 200);
+});
+
+test('going over the limit answers 429 with resetAt and Retry-After', async () => {
+    const token = tokenFor('limited1');
+    assert.equal((await server.post('/api/review', review(), { token })).status, 200);
+    assert.equal((await server.post('/api/review', review(), { token })).status, 200);
+
+    const res = await server.post('/api/review', review(), { token });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, 'rate_limited');
+    assert.equal(res.body.bucket, 'review');
+    assert.ok(Date.parse(res.body.resetAt) > Date.now());
+    assert.equal(res.headers.get('retry-after'), String(res.body.retryAfterSec));
+
+    // 다른 학습자는 영향 없음
+    assert.equal((await server.post('/api/review', review(), { token: tokenFor('limited2') })).status, 200);
+});
+
+test('requests rejected by validation are refunded', async () => {
+    const token = tokenFor('refunded1');
+    for (let i = 0; i < 3; i++) {
+        const res = await server.post('/api/review', review(''), { token });
+        assert.equal(res.status, 400);
+    }
+    assert.equal((await server.post('/api/review', review(), { token })).status, 200);
+    assert.equal((await server.post('/api/review', review(), { token })).status, 200);
+    assert.equal((await server.post('/api/review', review(), { token })).status, 429);
+});
+
+test('admins are not metered', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await server.post('/api/review', review(), admin)).status, 200);
+    }
+});
+
+test('conversations are only visible to their learner or an admin', async () => {
+    const owner = tokenFor('talker1');
+    const other = tokenFor('talker2');
+    const started = await server.post('/api/ask', { mode: 'coach', question: 'Hello' }, { token: owner });
+    assert.equal(started.status, 200);
+    const id = started.body.conversationId;
+
+    assert.equal((await server.get(`/api/conversations/${id}`)).status, 401);
+    assert.equal((await server.get(`/api/conversations/${id}`, { token: other })).status, 403);
+    assert.equal((await server.post('/api/ask', { conversationId: id, question: 'hi' }, { token: other })).status, 403);
+    assert.equal((await server.post(`/api/conversations/${id}/end`, {}, { token: other })).status, 403);
+
+    const own = await server.get(`/api/conversations/${id}`, { token: owner });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.learnerId, 'talker1');
+    assert.equal((await server.get(`/api/conversations/${id}`, admin)).status, 200);
+    assert.equal((await server.post('/api/ask', { conversationId: id, question: 'More' }, { token: owner })).status, 200);
+    const ended = await server.post(`/api/conversations/${id}/end`, {}, { token: owner });
+    assert.equal(ended.status, 200);
+    assert.equal(ended.body.turns, 2);
+});
+
+test('sessions belong to the learner who started them', async () => {
+    assert.equal((await server.post('/api/sessions', {})).status, 401);
+
+    const owner = tokenFor('examinee1');
+    const other = tokenFor('examinee2');
+    const created = await server.post('/api/sessions', { targetLevel: 'IM2' }, { token: owner });
+    assert.equal(created.status, 201);
+    const id = created.body.sessionId;
+
+    assert.equal((await server.get(`/api/sessions/${id}`, { token: other })).status, 403);
+    assert.equal((await server.get(`/api/sessions/${id}/next`, { token: other })).status, 403);
+    const stolen = await server.post(`/api/sessions/${id}/answers`, { answerText: 'mine now' }, { token: other });
+    assert.equal(stolen.status, 403);
+    assert.equal(stolen.body.error, 'forbidden');
+
+    const next = await server.get(`/api/sessions/${id}/next`, { token: owner });
+    assert.equal(next.status, 200);
+    const answered = await server.post(
+        `/api/sessions/${id}/answers`,
+        { questionId: next.body.question.id, answerText: 'I live in a small apartment near the river.' },
+        { token: owner }
+    );
+    assert.equal(answered.status, 200);
+    assert.equal(answered.body.questionId, next.body.question.id);
+    assert.equal((await server.get(`/api/sessions/${id}`, admin)).status, 200);
+});
+
+test('learner data routes ignore the X-Learner-Id header once auth is on', async () => {
+    const res = await server.get('/api/learners/examinee1/history', { headers: { 'x-learner-id': 'examinee1' } });
+    assert.equal(res.status, 401);
+    assert.equal((await server.get('/api/learners/examinee1/history', { token: tokenFor('examinee2') })).status, 403);
+    assert.equal((await server.get('/api/learners/examinee1/history', { token: tokenFor('examinee1') })).status, 200);
+});
+
+test('off mode skips limits unless anonymous limits are turned on', async () => {
+    const env = { AUTH_MODE: 'off', RATE_LIMIT_ASK_PER_MIN: '1' };
+    const open = await startServer(env);
+    try {
+        assert.equal((await open.post('/api/ask', { question: 'hi' })).status, 200);
+        assert.equal((await open.post('/api/ask', { question: 'hi' })).status, 200);
+        // 헤더로 보낸 learnerId 를 그대로 씀
+        const started = await open.post('/api/ask', { mode: 'coach', question: 'hi' }, { headers: { 'x-learner-id': 'stu1' } });
+        assert.equal((await open.get(`/api/conversations/${started.body.conversationId}`)).body.learnerId, 'stu1');
+    } finally {
+        await open.stop();
+    }
+
+    const limited = await startServer({ ...env, RATE_LIMIT_WHEN_AUTH_OFF: 'on' });
+    try {
+        assert.equal((await limited.post('/api/ask', { question: 'hi' })).status, 200);
+        const res = await limited.post('/api/ask', { question: 'hi' });
+        assert.equal(res.status, 429);
+        assert.equal(res.body.error, 'rate_limited');
+    } finally {
+        await limited.stop();
+    }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassroom, effectiveScore } from '../lib/classroom.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+
+const review = (score, recommendedLevel = 'IM2') => ({ score, recommendedLevel });
+
+async function setup() {
+    const classroom = createClassroom({ db: createMemoryDb() });
+    const cls = await classroom.createClass({ name: ' 3반 ', teacherId: 'kim', students: ['stu1', 'stu2', 'stu1'] });
+    const assignment = await classroom.createAssignment(cls, {
+        questionIds: ['adv_01', 'adv_02'],
+        teacherId: 'kim',
+    });
+    return { classroom, cls, assignment };
+}
+
+test('classes keep a unique, validated roster', async () => {
+    const { classroom, cls } = await setup();
+    assert.equal(cls.name, '3반');
+    assert.deepEqual(cls.students, ['stu1', 'stu2']);
+    await assert.rejects(classroom.createClass({ name: 'x', teacherId: 'kim', students: ['bad id!'] }), { code: 'invalid_learner_id' });
+    await assert.rejects(classroom.createClass({ name: ' ', teacherId: 'kim' }), { code: 'name_required' });
+
+    const grown = await classroom.addStudents(cls, ['stu3', 'stu2']);
+    assert.deepEqual(grown.students, ['stu1', 'stu2', 'stu3']);
+    assert.deepEqual((await classroom.removeStudent(grown, 'stu1')).students, ['stu2', 'stu3']);
+    assert.deepEqual((await classroom.listClasses({ learnerId: 'stu3' })).map((c) => c.id), [cls.id]);
+    assert.deepEqual(await classroom.listClasses({ learnerId: 'stu1' }), []);
+});
+
+test('assignments fix their questions and validate level and due date', async () => {
+    const { classroom, cls, assignment } = await setup();
+    assert.equal(assignment.title, '숙제 (2문항)');
+    assert.equal(assignment.targetLevel, 'IM2');
+
+    const byTopic = await classroom.createAssignment(cls, { topics: ['camping'], count: 2, targetLevel: 'ih' });
+    assert.equal(byTopic.questionIds.length, 2);
+    assert.deepEqual(byTopic.topics, ['camping']);
+    assert.equal(byTopic.targetLevel, 'IH');
+
+    await assert.rejects(classroom.createAssignment(cls, { questionIds: ['ghost_01'] }), { code: 'unknown_questions' });
+    await assert.rejects(classroom.createAssignment(cls, {}), { code: 'questions_required' });
+    await assert.rejects(classroom.createAssignment(cls, { questionIds: ['adv_01'], dueAt: 'soon' }), { code: 'invalid_due_at' });
+    await assert.rejects(classroom.createAssignment(cls, { questionIds: ['adv_01'], targetLevel: 'B2' }), { code: 'invalid_target_level' });
+});
+
+test('the roster shows the latest submission with teacher overrides applied', async () => {
+    const { classroom, cls, assignment } = await setup();
+    await classroom.addSubmission(assignment, { learnerId: 'stu1', questionId: 'adv_01', transcript: 'a', review: review(2) });
+    const latest = await classroom.addSubmission(assignment, { learnerId: 'stu1', questionId: 'adv_01', transcript: 'b', review: review(3) });
+    await classroom.addSubmission(assignment, { learnerId: 'stu1', questionId: 'adv_02', transcript: 'c', review: review(4) });
+    await classroom.overrideSubmission(latest, { score: 5, level: 'al', comment: '좋아요', teacherId: 'kim' });
+
+    const roster = await classroom.roster(cls, assignment);
+    const [stu1, stu2] = roster.students;
+    assert.equal(stu1.submitted, 2);
+    assert.equal(stu1.averageScore, 4.5);
+    assert.deepEqual(
+        { ...stu1.questions[0], submittedAt: undefined },
+        {
+            questionId: 'adv_01',
+            status: 'submitted',
+            submissionId: latest.id,
+            submittedAt: undefined,
+            late: false,
+            attempts: 2,
+            aiScore: 3,
+            score: 5,
+            level: 'AL',
+            overridden: true,
+            comment: '좋아요',
+        }
+    );
+    assert.deepEqual(stu2.questions.map((q) => q.status), ['missing', 'missing']);
+    assert.equal(stu2.averageScore, null);
+});
+
+test('overrides are validated and can be cleared', async () => {
+    const { classroom, assignment } = await setup();
+    const sub = await classroom.addSubmission(assignment, { learnerId: 'stu1', questionId: 'adv_01', transcript: 'a', review: review(3, 'IM3') });
+
+    await assert.rejects(classroom.overrideSubmission(sub, { score: 6 }), { code: 'invalid_score' });
+    await assert.rejects(classroom.overrideSubmission(sub, { score: 4, level: 'C1' }), { code: 'invalid_level' });
+    const overridden = await classroom.overrideSubmission(sub, { score: 4, teacherId: 'kim' });
+    // level 을 주지 않으면 AI 등급 유지
+    assert.deepEqual(effectiveScore(overridden), { score: 4, level: 'IM3', overridden: true });
+    const cleared = await classroom.overrideSubmission(overridden, { score: null });
+    assert.deepEqual(effectiveScore(cleared), { score: 3, level: 'IM3', overridden: false });
+});
+
+test('submissions after the due date are marked late', async () => {
+    const { classroom, cls } = await setup();
+    const overdue = await classroom.createAssignment(cls, { questionIds: ['adv_01'], dueAt: '2000-01-01T00:00:00Z' });
+    const sub = await classroom.addSubmission(overdue, { learnerId: 'stu2', questionId: 'adv_01', transcript: 'a', review: review(3) });
+    assert.equal(sub.late, true);
+    assert.deepEqual((await classroom.listSubmissions(overdue.id, { learnerId: 'stu1' })), []);
+});
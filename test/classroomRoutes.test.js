@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, authConfig } from '../lib/auth.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { startServer } from './helpers/server.js';
+
+const SECRET = 'classroom-test-secret';
+const ADMIN = 'classroom-test-admin';
+
+const signer = createAuth({ db: createMemoryDb(), config: authConfig({ AUTH_TOKEN_SECRET: SECRET }) });
+const as = (kind, subject) => ({ token: signer.issueToken({ kind, subject }).token });
+
+const teacher = as('teacher', 'kim');
+const otherTeacher = as('teacher', 'lee');
+const student = as('learner', 'stu1');
+const outsider = as('learner', 'stu9');
+
+function recording(questionId) {
+    const form = new FormData();
+    form.append('questionId', questionId);
+    form.append('file', new Blob([Buffer.from('fake audio')], { type: 'audio/webm' }), 'answer.webm');
+    return form;
+}
+
+let server;
+let cls;
+let assignment;
+
+// AUTH_MODE=off 여도 클래스 라우트는 자격 증명을 검증함
+before(async () => {
+    server = await startServer({ AUTH_MODE: 'off', AUTH_TOKEN_SECRET: SECRET, ADMIN_API_KEY: ADMIN });
+    cls = (await server.post('/api/classes', { name: '3반', students: ['stu1', 'stu2'] }, teacher)).body;
+    assignment = (await server.post(`/api/classes/${cls.id}/assignments`, { title: 'week 1', questionIds: ['adv_01'] }, teacher)).body;
+});
+
+after(() => server?.stop());
+
+test('the teacher owns the class they created', () => {
+    assert.equal(cls.teacherId, 'kim');
+    assert.deepEqual(assignment.questionIds, ['adv_01']);
+});
+
+test('class routes do not trust identity headers', async () => {
+    const res = await server.post('/api/classes', { name: 'fake' }, { headers: { 'x-teacher-id': 'kim' } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'teacher_required');
+    const list = await server.get('/api/classes', { headers: { 'x-learner-id': 'stu1' } });
+    assert.equal(list.status, 401);
+    assert.equal(list.body.error, 'identity_required');
+});
+
+test('bad credentials on class routes are rejected even with auth off', async () => {
+    const res = await server.get('/api/classes', { token: 'v1.bogus.sig' });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'invalid_credentials');
+});
+
+test('only the class teacher can change the roster or create assignments', async () => {
+    const add = await server.post(`/api/classes/${cls.id}/students`, { learnerIds: ['stu3'] }, otherTeacher);
+    assert.equal(add.status, 403);
+    assert.equal((await server.post(`/api/classes/${cls.id}/students`, { learnerIds: ['stu3'] }, student)).status, 401);
+    const create = await server.post(`/api/classes/${cls.id}/assignments`, { questionIds: ['adv_01'] }, otherTeacher);
+    assert.equal(create.status, 403);
+    assert.equal((await server.get(`/api/assignments/${assignment.id}/roster`, otherTeacher)).status, 403);
+    assert.equal((await server.get(`/api/assignments/${assignment.id}/roster`, teacher)).status, 200);
+});
+
+test('students see their class without the roster, outsiders are refused', async () => {
+    const mine = await server.get(`/api/classes/${cls.id}`, student);
+    assert.equal(mine.status, 200);
+    assert.equal(mine.body.students, undefined);
+    assert.deepEqual((await server.get(`/api/classes/${cls.id}`, teacher)).body.students, ['stu1', 'stu2']);
+    assert.equal((await server.get(`/api/classes/${cls.id}`, outsider)).status, 403);
+    assert.equal((await server.get(`/api/assignments/${assignment.id}`, outsider)).status, 403);
+});
+
+test('only enrolled students can submit, and only they and the teacher can read it', async () => {
+    const refused = await server.post(`/api/assignments/${assignment.id}/submissions`, recording('adv_01'), outsider);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'not_enrolled');
+    assert.equal((await server.post(`/api/assignments/${assignment.id}/submissions`, recording('adv_01'), teacher)).status, 401);
+
+    const submitted = await server.post(`/api/assignments/${assignment.id}/submissions`, recording('adv_01'), student);
+    assert.equal(submitted.status, 201);
+    const id = submitted.body.id;
+
+    assert.equal((await server.get(`/api/submissions/${id}`, student)).status, 200);
+    assert.equal((await server.get(`/api/submissions/${id}`, teacher)).status, 200);
+    assert.equal((await server.get(`/api/submissions/${id}`, as('learner', 'stu2'))).status, 403);
+    assert.equal((await server.get(`/api/submissions/${id}`, otherTeacher)).status, 403);
+    assert.equal((await server.post(`/api/submissions/${id}/override`, { score: 4 }, student)).status, 401);
+    assert.equal((await server.post(`/api/submissions/${id}/override`, { score: 4 }, teacher)).status, 200);
+
+    const own = await server.get(`/api/assignments/${assignment.id}/submissions`, as('learner', 'stu2'));
+    assert.equal(own.body.count, 0);
+});
+
+test('a class key can read its class but not individual submissions', async () => {
+    const classKey = as('class', cls.id);
+    assert.equal((await server.get(`/api/classes/${cls.id}/assignments`, classKey)).status, 200);
+    assert.equal((await server.get(`/api/assignments/${assignment.id}/submissions`, classKey)).status, 403);
+});
+
+test('the admin key can act for any teacher', async () => {
+    const admin = { headers: { 'x-api-key': ADMIN } };
+    const created = await server.post('/api/classes', { name: 'admin made', teacherId: 'park' }, admin);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.teacherId, 'park');
+    assert.equal((await server.get(`/api/assignments/${assignment.id}/roster`, admin)).status, 200);
+});
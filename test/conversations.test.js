@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversations } from '../lib/conversations.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+test('concurrent replies on one thread keep every message', async () => {
+    const conversations = createConversations({ llm: createMockProvider(), db: createMemoryDb() });
+    const thread = await conversations.start({ mode: 'coach' });
+
+    await Promise.all(['first', 'second', 'third'].map((text) => conversations.reply(thread.id, text)));
+
+    const saved = await conversations.get(thread.id);
+    assert.deepEqual(
+        saved.messages.filter((m) => m.role === 'user').map((m) => m.content),
+        ['first', 'second', 'third']
+    );
+    assert.equal(saved.messages.length, 6);
+});
+
+test('a failed reply does not block the next one', async () => {
+    const mock = createMockProvider();
+    let failures = 1;
+    const llm = {
+        ...mock,
+        async chat(request) {
+            if (failures-- > 0) throw new Error('upstream down');
+            return mock.chat(request);
+        },
+    };
+    const conversations = createConversations({ llm, db: createMemoryDb() });
+    const thread = await conversations.start({ mode: 'coach' });
+
+    const [first, second] = await Promise.allSettled([
+        conversations.reply(thread.id, 'first'),
+        conversations.reply(thread.id, 'second'),
+    ]);
+    assert.equal(first.status, 'rejected');
+    assert.equal(first.reason.message, 'upstream down');
+    assert.equal(second.status, 'fulfilled');
+    assert.ok(second.value.answer);
+
+    const saved = await conversations.get(thread.id);
+    assert.deepEqual(
+        saved.messages.filter((m) => m.role === 'user').map((m) => m.content),
+        ['second']
+    );
+    assert.equal(saved.messages.at(-1).content, second.value.answer);
+});
+
+test('an ended conversation rejects further replies', async () => {
+    const conversations = createConversations({ llm: createMockProvider(), db: createMemoryDb() });
+    const thread = await conversations.start({ mode: 'coach' });
+    await conversations.end(thread.id);
+
+    await assert.rejects(conversations.reply(thread.id, 'late'), { code: 'conversation_ended' });
+    await assert.rejects(conversations.reply(thread.id, 'later'), { code: 'conversation_ended' });
+});
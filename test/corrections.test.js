@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffEdits, normalizeCategory, normalizeCorrections } from '../lib/corrections.js';
+
+test('edits are character ranges in the original sentence', () => {
+    const original = 'I go to park yesterday.';
+    const edits = diffEdits(original, 'I went to the park yesterday.');
+    assert.deepEqual(edits, [
+        { type: 'replace', start: 2, end: 4, original: 'go', replacement: 'went' },
+        { type: 'insert', start: 8, end: 8, original: '', replacement: 'the ' },
+    ]);
+    for (const e of edits) assert.equal(original.slice(e.start, e.end), e.original);
+});
+
+test('deletions and whitespace-only changes', () => {
+    assert.deepEqual(diffEdits('I very like it.', 'I like it.'), [
+        { type: 'delete', start: 2, end: 7, original: 'very ', replacement: '' },
+    ]);
+    assert.deepEqual(diffEdits('I like  it.', 'I like it.'), []);
+});
+
+test('categories are normalised to the known list', () => {
+    assert.equal(normalizeCategory('Subject-Verb Agreement'), 'agreement');
+    assert.equal(normalizeCategory('word choice'), 'word_choice');
+    assert.equal(normalizeCategory('TENSE'), 'tense');
+    assert.equal(normalizeCategory('vibes'), 'other');
+    assert.equal(normalizeCategory(null), 'other');
+});
+
+test('corrections are located in the answer in order and junk is dropped', () => {
+    const answer = 'She go to school. She go to school.';
+    const out = normalizeCorrections([
+        { original: 'She go to school.', corrected: 'She goes to school.', category: 'agreement', explanation: ' 3인칭 단수 ' },
+        { original: 'She go to school.', corrected: 'She goes to school.', category: 'agreement' },
+        { original: 'Same.', corrected: 'Same.' },
+        { original: 'Not there.', corrected: 'Not here.' },
+        null,
+        { original: '', corrected: 'x' },
+    ], answer);
+
+    assert.deepEqual(out.map((c) => c.offset), [0, 18, null]);
+    assert.equal(out[0].explanation, '3인칭 단수');
+    assert.equal(out[0].category, 'agreement');
+    assert.equal(out[2].category, 'other');
+    assert.deepEqual(normalizeCorrections('nope'), []);
+});
@@ -0,0 +1,88 @@
+// 라우트 테스트용: mock provider + 메모리 DB 로 server.js 를 띄움 (PORT=0 → 로그에서 실제 포트를 읽음)
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const START_TIMEOUT_MS = 15_000;
+
+export async function startServer(env = {}) {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'opic-test-'));
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: '0',
+            LLM_PROVIDER: 'mock',
+            DB_BACKEND: 'memory',
+            TTS_CACHE: 'off',
+            DATA_DIR: path.join(tmp, 'data'),
+            MEDIA_DIR: path.join(tmp, 'media'),
+            TTS_CACHE_DIR: path.join(tmp, 'tts'),
+            AUTH_MODE: 'off',
+            ...env,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let log = '';
+    const port = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), START_TIMEOUT_MS);
+        const onData = (chunk) => {
+            log += chunk;
+            const m = /Server on :(\d+)/.exec(log);
+            if (m) {
+                clearTimeout(timer);
+                resolve(Number(m[1]));
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`server exited (${code}):\n${log}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+
+    // body 가 FormData 면 multipart 로, 그 외에는 JSON 으로 보냄
+    async function request(method, pathname, { body, token, headers = {} } = {}) {
+        const asJson = body !== undefined && !(body instanceof FormData);
+        const res = await fetch(`${url}${pathname}`, {
+            method,
+            headers: {
+                ...(asJson ? { 'content-type': 'application/json' } : {}),
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...headers,
+            },
+            body: asJson ? JSON.stringify(body) : body,
+        });
+        const text = await res.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // JSON 이 아닌 응답은 그대로 둠
+        }
+        return { status: res.status, headers: res.headers, body: json, text };
+    }
+
+    return {
+        url,
+        get: (pathname, opts) => request('GET', pathname, opts),
+        post: (pathname, body, opts = {}) => request('POST', pathname, { ...opts, body }),
+        put: (pathname, body, opts = {}) => request('PUT', pathname, { ...opts, body }),
+        delete: (pathname, opts) => request('DELETE', pathname, opts),
+        async stop() {
+            if (child.exitCode == null) {
+                const exited = new Promise((resolve) => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(tmp, { recursive: true, force: true });
+        },
+    };
+}
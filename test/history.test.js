@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { createHistory } from '../lib/history.js';
+
+const review = (score) => ({
+    score,
+    criteriaScores: { fluency: score, grammar: score, vocab: score, taskAchievement: score },
+});
+
+test('weaknesses only rank topics tried more than once', async () => {
+    const history = createHistory(createMemoryDb());
+    const attempt = (topic, score) => history.recordAttempt({
+        learnerId: 'stu1', questionId: `${topic}_01`, topic, transcript: 't', review: review(score), source: 'review',
+    });
+    await attempt('camping', 2);
+    await attempt('camping', 3);
+    await attempt('music', 4);
+    await attempt('music', 5);
+    await attempt('hiking', 1);
+
+    const { totalAttempts, weakestTopics } = await history.weaknesses('stu1');
+    assert.equal(totalAttempts, 5);
+    assert.deepEqual(weakestTopics, [
+        { topic: 'camping', attempts: 2, average: 2.5 },
+        { topic: 'music', attempts: 2, average: 4.5 },
+    ]);
+});
+
+test('attempts without a valid learner id are not recorded', async () => {
+    const history = createHistory(createMemoryDb());
+    assert.equal(await history.recordAttempt({ learnerId: null, review: review(3) }), null);
+    assert.equal(await history.recordAttempt({ learnerId: 'bad id!', review: review(3) }), null);
+    assert.deepEqual(await history.history('stu1'), []);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isNotModified, parseRange, rangeStillValid } from '../lib/httpRange.js';
+
+const req = (headers) => ({ headers });
+const etag = '"abc"';
+const lastModified = new Date('2026-01-01T00:00:00.500Z');
+
+test('single byte ranges are parsed and clamped to the file', () => {
+    assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange('bytes=-500', 100), { start: 0, end: 99 });
+    assert.deepEqual(parseRange('bytes=50-500', 100), { start: 50, end: 99 });
+});
+
+test('ranges outside the file are unsatisfiable', () => {
+    assert.equal(parseRange('bytes=100-', 100), 'unsatisfiable');
+    assert.equal(parseRange('bytes=9-3', 100), 'unsatisfiable');
+    assert.equal(parseRange('bytes=-0', 100), 'unsatisfiable');
+});
+
+test('missing, malformed and multi ranges fall back to the whole file', () => {
+    assert.equal(parseRange(undefined, 100), null);
+    assert.equal(parseRange('bytes=-', 100), null);
+    assert.equal(parseRange('items=0-1', 100), null);
+    assert.equal(parseRange('bytes=0-1,5-9', 100), null);
+});
+
+test('conditional requests match the etag before the date', () => {
+    assert.equal(isNotModified(req({ 'if-none-match': '"x", "abc"' }), { etag, lastModified }), true);
+    assert.equal(isNotModified(req({ 'if-none-match': '*' }), { etag, lastModified }), true);
+    assert.equal(isNotModified(req({ 'if-none-match': '"x"', 'if-modified-since': lastModified.toUTCString() }), { etag, lastModified }), false);
+    // HTTP 날짜는 초 단위라 밀리초는 버리고 비교
+    assert.equal(isNotModified(req({ 'if-modified-since': lastModified.toUTCString() }), { etag, lastModified }), true);
+    assert.equal(isNotModified(req({ 'if-modified-since': 'yesterday' }), { etag, lastModified }), false);
+    assert.equal(isNotModified(req({}), { etag, lastModified }), false);
+});
+
+test('If-Range keeps the range only while the representation is unchanged', () => {
+    assert.equal(rangeStillValid(req({}), { etag, lastModified }), true);
+    assert.equal(rangeStillValid(req({ 'if-range': etag }), { etag, lastModified }), true);
+    assert.equal(rangeStillValid(req({ 'if-range': '"old"' }), { etag, lastModified }), false);
+    assert.equal(rangeStillValid(req({ 'if-range': lastModified.toUTCString() }), { etag, lastModified }), true);
+    assert.equal(rangeStillValid(req({ 'if-range': 'Wed, 31 Dec 2025 00:00:00 GMT' }), { etag, lastModified }), false);
+});
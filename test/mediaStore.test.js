@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFsStore, createMediaStore, createMemoryStore, isValidMediaId } from '../lib/mediaStore.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'opic-media-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const bytes = (n, fill = 1) => Buffer.alloc(n, fill);
+
+for (const [backend, make] of [
+    ['memory', (opts) => createMemoryStore(opts)],
+    ['fs', (opts) => createFsStore({ dir: fs.mkdtempSync(path.join(tmp, 'fs-')), ...opts })],
+]) {
+    test(`${backend}: put and get round-trip`, async () => {
+        const store = make({ ttlMs: 60_000, maxBytes: 1000 });
+        const id = await store.put(bytes(10), 'audio/mpeg');
+        const hit = await store.get(id);
+        assert.deepEqual(hit.buf, bytes(10));
+        assert.equal(hit.mime, 'audio/mpeg');
+        assert.equal(hit.size, 10);
+        await store.delete(id);
+        assert.equal(await store.get(id), null);
+    });
+
+    test(`${backend}: least recently used entries go first when over budget`, async () => {
+        const store = make({ ttlMs: 60_000, maxBytes: 25 });
+        await store.put(bytes(10), 'audio/mpeg', { id: 'a' });
+        await store.put(bytes(10), 'audio/mpeg', { id: 'b' });
+        await store.get('a');
+        await store.put(bytes(10), 'audio/mpeg', { id: 'c' });
+
+        assert.equal(await store.get('b'), null);
+        assert.ok(await store.get('a'));
+        assert.ok(await store.get('c'));
+        assert.deepEqual({ items: store.stats().items, bytes: store.stats().bytes }, { items: 2, bytes: 20 });
+    });
+
+    test(`${backend}: expired entries are not served`, async () => {
+        const store = make({ ttlMs: 5, maxBytes: 1000 });
+        await store.put(bytes(4), 'audio/mpeg', { id: 'old' });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.equal(await store.get('old'), null);
+    });
+}
+
+test('fs: entries survive a restart and unsafe ids are refused', async () => {
+    const dir = path.join(tmp, 'restart');
+    const first = createFsStore({ dir, ttlMs: 60_000, maxBytes: 1000 });
+    await first.put(bytes(3, 7), 'audio/wav', { id: 'keep' });
+    await assert.rejects(first.put(bytes(1), 'audio/wav', { id: '../escape' }), /invalid media id/);
+
+    const second = createFsStore({ dir, ttlMs: 60_000, maxBytes: 1000 });
+    assert.equal(second.stats().items, 1);
+    assert.deepEqual((await second.get('keep')).buf, bytes(3, 7));
+    assert.equal(await second.get('../keep'), null);
+});
+
+test('media ids and backends are checked', () => {
+    assert.equal(isValidMediaId('abc_DEF-123'), true);
+    assert.equal(isValidMediaId('a/b'), false);
+    assert.equal(isValidMediaId(''), false);
+    assert.throws(() => createMediaStore({ backend: 's3' }), /Unknown MEDIA_STORE "s3"/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { createModelAnswers, normalizeModelAnswer } from '../lib/modelAnswer.js';
+
+const question = { id: 'adv_01', text: 'Tell me about your weekend.' };
+
+// chatJson 호출 수를 세는 llm (응답은 고정)
+function countingLlm(content = { answer: 'I relax at home.', sections: [{ part: 'intro', text: 'I relax at home.' }] }) {
+    const llm = {
+        calls: 0,
+        models: { chat: 'test-chat' },
+        async chatJson() {
+            llm.calls += 1;
+            await new Promise((resolve) => setImmediate(resolve));
+            return { content: typeof content === 'string' ? content : JSON.stringify(content) };
+        },
+    };
+    return llm;
+}
+
+test('a model answer is generated once per question, level and text', async () => {
+    const llm = countingLlm();
+    const answers = createModelAnswers({ llm, db: createMemoryDb() });
+
+    assert.equal(await answers.cached(question, 'IH'), null);
+    const [first, concurrent] = await Promise.all([answers.get(question, 'IH'), answers.get(question, 'IH')]);
+    assert.equal(first.cached, false);
+    assert.equal(concurrent.id, first.id);
+    assert.equal(first.model, 'test-chat');
+    assert.equal((await answers.get(question, 'IH')).cached, true);
+    assert.ok(await answers.cached(question, 'IH'));
+    assert.equal(llm.calls, 1);
+
+    await answers.get(question, 'AL');
+    await answers.get({ ...question, text: 'Tell me about your holiday.' }, 'IH');
+    assert.equal(llm.calls, 3);
+});
+
+test('unusable model output is an error and is not cached', async () => {
+    const broken = createModelAnswers({ llm: countingLlm('not json'), db: createMemoryDb() });
+    await assert.rejects(broken.get(question, 'IH'), { code: 'invalid_model_answer_json', rawContent: 'not json' });
+
+    const empty = createModelAnswers({ llm: countingLlm({ answer: '  ' }), db: createMemoryDb() });
+    await assert.rejects(empty.get(question, 'IH'), { code: 'invalid_model_answer' });
+    assert.equal(await empty.cached(question, 'IH'), null);
+});
+
+test('model answers are normalised', () => {
+    assert.deepEqual(
+        normalizeModelAnswer({
+            answer: ' Hi. ',
+            sections: [{ part: 'intro', text: 'Hi.' }, { part: 'outro', text: 'Bye.' }, 'junk'],
+            techniques: [{ type: 'filler', example: 'well' }],
+            expressions: [{ expression: 'chill out', gloss: '쉬다' }, { expression: 'no gloss' }],
+        }),
+        {
+            answer: 'Hi.',
+            sections: [{ part: 'intro', text: 'Hi.' }],
+            techniques: [{ type: 'filler', example: 'well', note: '' }],
+            expressions: [{ expression: 'chill out', gloss: '쉬다' }],
+        }
+    );
+    assert.equal(normalizeModelAnswer({ sections: [] }), null);
+});
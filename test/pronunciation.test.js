@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { assessPronunciation } from '../lib/pronunciation.js';
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`../fixtures/stt/${name}.json`, import.meta.url), 'utf-8'));
+const flaggedBy = (report, reason) => report.flagged.filter((f) => f.reason === reason);
+
+test('read-aloud fixture maps each substitution to the Korean-speaker tip', () => {
+    const { expectedText, text, words } = fixture('read-aloud-ko-speaker');
+    const report = assessPronunciation({ text, words, expectedText, language: 'en' });
+    assert.equal(report.mode, 'reference');
+    assert.equal(report.reason, null);
+    assert.equal(report.expectedWords, 23);
+    assert.equal(report.matchedWords, 17);
+    assert.equal(report.accuracy, 0.74);
+
+    const substituted = flaggedBy(report, 'substituted').map(({ word, heard, tips }) => ({ word, heard, tips }));
+    assert.deepEqual(substituted, [
+        { word: 'read', heard: 'lead', tips: ['r_l'] },
+        { word: 'food', heard: 'pood', tips: ['f_p'] },
+        { word: 'think', heard: 'sink', tips: ['th'] },
+        { word: 'very', heard: 'bery', tips: ['v_b'] },
+        { word: 'good', heard: 'goo', tips: ['final_consonant'] },
+    ]);
+    // "I" 가 빠진 건 기능어라 표시하지 않음
+    assert.deepEqual(flaggedBy(report, 'dropped'), []);
+    assert.deepEqual(flaggedBy(report, 'low_confidence').map((f) => f.word), ['try']);
+    assert.deepEqual(report.tips.map((t) => t.id), ['r_l', 'f_p', 'v_b', 'th', 'final_consonant']);
+});
+
+test('free-answer fixture flags only words below the confidence threshold', () => {
+    const { text, words } = fixture('free-answer-low-confidence');
+    const report = assessPronunciation({ text, words });
+    assert.equal(report.mode, 'confidence');
+    assert.equal(report.accuracy, null);
+    assert.equal(report.lowConfidenceWords, 3);
+    // friends (0.6) 는 기준값이라 표시하지 않음
+    assert.deepEqual(report.flagged.map((f) => [f.word, f.confidence]), [['river', 0.55], ['ride', 0.48], ['fried', 0.57]]);
+    assert.ok(report.flagged.every((f) => f.reason === 'low_confidence' && f.tips.includes('r_l')));
+});
+
+test('without confidence or a script the report says it assessed nothing', () => {
+    const { text, words } = fixture('free-answer-low-confidence');
+    const report = assessPronunciation({ text, words: words.map(({ word, start, end }) => ({ word, start, end })) });
+    assert.equal(report.mode, 'unavailable');
+    assert.equal(report.reason, 'no_confidence');
+    assert.equal(report.averageConfidence, null);
+    assert.equal(report.lowConfidenceWords, 0);
+    assert.deepEqual(report.flagged, []);
+});
+
+test('a script still gives a reference report when words carry no confidence', () => {
+    const { expectedText, text, words } = fixture('read-aloud-ko-speaker');
+    const report = assessPronunciation({ text, words: words.map(({ word, start, end }) => ({ word, start, end })), expectedText });
+    assert.equal(report.mode, 'reference');
+    assert.equal(flaggedBy(report, 'substituted').length, 5);
+    assert.deepEqual(flaggedBy(report, 'low_confidence'), []);
+});
@@ -0,0 +1,168 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { getQuestion, loadQuestions, setQuestions } from '../lib/questions.js';
+import {
+    createQuestionBank,
+    createRegenerationMarks,
+    loadQuestionOverlay,
+    markForRegeneration,
+} from '../lib/questionBank.js';
+
+// 편집본은 모듈 상태(setQuestions)라 테스트마다 questions.json 으로 되돌림
+afterEach(() => setQuestions(null));
+
+const ids = () => loadQuestions({ reload: true, includeRetired: true }).map((q) => q.id);
+
+// questionBank 저장만 실패하는 DB (나머지 컬렉션은 db 그대로)
+function dbFailingBankWrites(db = createMemoryDb()) {
+    const bank = db.collection('questionBank');
+    const failing = {
+        ...bank,
+        insert: async () => { throw new Error('disk full'); },
+        update: async () => { throw new Error('disk full'); },
+    };
+    return { ...db, collection: (name) => (name === 'questionBank' ? failing : db.collection(name)) };
+}
+
+test('editing a question text records a version and marks its video for regeneration', async () => {
+    const db = createMemoryDb();
+    const regenerations = createRegenerationMarks(db);
+    await regenerations.load();
+    const bank = createQuestionBank({ db, regenerations });
+    const before = getQuestion('adv_01');
+
+    const result = await bank.update('adv_01', { text: '  A new question?  ' }, { actor: 'admin' });
+    assert.equal(result.version, 1);
+    assert.equal(result.video, 'pending');
+    assert.equal(result.question.text, 'A new question?');
+    assert.equal(getQuestion('adv_01').text, 'A new question?');
+    assert.equal(regenerations.pending('adv_01', { state: 'downloaded' }), true);
+    // 표시 뒤에 새 영상을 받으면 더 이상 대상이 아님
+    assert.equal(regenerations.pending('adv_01', { downloadedAt: '2999-01-01T00:00:00.000Z' }), false);
+
+    const [change] = await bank.history({ questionId: 'adv_01' });
+    assert.equal(change.action, 'update');
+    assert.equal(change.actor, 'admin');
+    assert.deepEqual(change.before, [before]);
+    assert.deepEqual(change.questionIds, ['adv_01']);
+});
+
+test('edits that keep the text do not touch the video', async () => {
+    const db = createMemoryDb();
+    const regenerations = createRegenerationMarks(db);
+    await regenerations.load();
+    const bank = createQuestionBank({ db, regenerations });
+
+    const result = await bank.update('adv_01', { topic: 'weekend' });
+    assert.equal(result.video, null);
+    assert.equal(regenerations.pending('adv_01', null), false);
+});
+
+test('invalid edits are rejected without a version', async () => {
+    const bank = createQuestionBank({ db: createMemoryDb() });
+
+    await assert.rejects(bank.update('nope_01', { text: 'x' }), { code: 'question_not_found', status: 404 });
+    await assert.rejects(bank.update('adv_01', {}), { code: 'no_changes' });
+    await assert.rejects(bank.update('adv_01', { text: ' ', type: 'quiz' }), (e) => {
+        assert.equal(e.code, 'invalid_question');
+        assert.deepEqual(e.details.problems, ['type:unknown', 'text:empty']);
+        return true;
+    });
+    await assert.rejects(bank.create({ id: 'adv_01', type: 'advanced', topic: 'x', text: 'dup' }), { status: 409 });
+    assert.deepEqual(await bank.history(), []);
+});
+
+test('retired questions stay in the bank but drop out of the public list', async () => {
+    const bank = createQuestionBank({ db: createMemoryDb() });
+
+    const retired = await bank.setRetired('adv_01', true);
+    assert.equal(retired.question.retired, true);
+    assert.ok(retired.question.retiredAt);
+    assert.ok(!loadQuestions().some((q) => q.id === 'adv_01'));
+    assert.ok(ids().includes('adv_01'));
+    await assert.rejects(bank.setRetired('adv_01', true), { code: 'already_retired', status: 409 });
+
+    const restored = await bank.setRetired('adv_01', false);
+    assert.equal(restored.version, 2);
+    assert.equal(restored.question.retired, undefined);
+    assert.ok(loadQuestions().some((q) => q.id === 'adv_01'));
+    await assert.rejects(bank.setRetired('adv_01', false), { code: 'not_retired' });
+});
+
+test('reorder only swaps the listed questions', async () => {
+    const bank = createQuestionBank({ db: createMemoryDb() });
+    const original = ids();
+    const [a, b, c] = [original[1], original[4], original[9]];
+
+    const { order, version } = await bank.reorder([c, a, b]);
+    assert.equal(version, 1);
+    const expected = [...original];
+    [expected[1], expected[4], expected[9]] = [c, a, b];
+    assert.deepEqual(order, expected);
+    assert.deepEqual(ids(), expected);
+
+    await assert.rejects(bank.reorder([]), { code: 'ids_required' });
+    await assert.rejects(bank.reorder([a, a]), { code: 'duplicate_ids' });
+    await assert.rejects(bank.reorder([a, 'ghost_01']), (e) => {
+        assert.equal(e.code, 'unknown_questions');
+        assert.deepEqual(e.details.unknown, ['ghost_01']);
+        return true;
+    });
+});
+
+test('a failed save rolls back the version and leaves the questions alone', async () => {
+    const db = dbFailingBankWrites();
+    const bank = createQuestionBank({ db });
+    const before = ids();
+
+    await assert.rejects(bank.reorder([before[1], before[0]]), /disk full/);
+    await assert.rejects(bank.update('adv_01', { text: 'changed' }), /disk full/);
+    assert.deepEqual(await bank.history(), []);
+    assert.deepEqual(ids(), before);
+    assert.notEqual(getQuestion('adv_01').text, 'changed');
+});
+
+test('version numbers continue after a rolled back save', async () => {
+    const db = createMemoryDb();
+    const bank = createQuestionBank({ db });
+    await bank.update('adv_01', { text: 'first edit' });
+
+    const broken = createQuestionBank({ db: dbFailingBankWrites(db) });
+    await assert.rejects(broken.update('adv_01', { text: 'lost edit' }), /disk full/);
+
+    const { version } = await createQuestionBank({ db }).update('adv_01', { text: 'second edit' });
+    assert.equal(version, 2);
+    assert.deepEqual((await bank.history()).map((v) => v.version), [2, 1]);
+});
+
+test('edits survive a restart through the overlay', async () => {
+    const db = createMemoryDb();
+    await createQuestionBank({ db }).create({ id: 'new_01', type: 'unexpected', topic: 'weather', text: 'How is the weather?', position: 0 });
+    setQuestions(null);
+    assert.equal(getQuestion('new_01'), null);
+
+    assert.equal(await loadQuestionOverlay(db), true);
+    assert.equal(ids()[0], 'new_01');
+    assert.equal(await loadQuestionOverlay(createMemoryDb()), false);
+});
+
+test('markForRegeneration sends finished talks back to pending', () => {
+    const talks = new Map([
+        ['a', { id: 'a', state: 'downloaded', attempts: 1, talkId: 't1' }],
+        ['b', { id: 'b', state: 'retry', attempts: 1 }],
+        ['c', { id: 'c', state: 'processing', attempts: 1 }],
+    ]);
+
+    assert.equal(markForRegeneration(talks, 'a'), 'pending');
+    assert.deepEqual(
+        { state: talks.get('a').state, regenerate: talks.get('a').regenerate, attempts: talks.get('a').attempts },
+        { state: 'pending', regenerate: true, attempts: 0 }
+    );
+    assert.equal(markForRegeneration(talks, 'b'), 'pending');
+    assert.equal(talks.get('b').state, 'retry');
+    assert.equal(talks.get('b').regenerate, true);
+    // 생성 중인 talk 는 그대로 (해시 비교로 stale 판정)
+    assert.equal(markForRegeneration(talks, 'c'), 'processing');
+    assert.equal(talks.get('c').regenerate, undefined);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuotas, quotaConfig, normalizeLimits, dayKey, QuotaError } from '../lib/quotas.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+
+const learner = (subject, extra = {}) => ({ id: `learner:${subject}`, kind: 'learner', subject, ...extra });
+
+const quotasWith = (env, db = createMemoryDb()) => createQuotas({ db, config: quotaConfig(env) });
+
+test('going over the per-minute limit throws rate_limited with a reset time', async () => {
+    const quotas = quotasWith({ RATE_LIMIT_REVIEW_PER_MIN: '2' });
+    const stu = learner('stu1');
+    await quotas.consume(stu, ['review']);
+    await quotas.consume(stu, ['review']);
+
+    await assert.rejects(quotas.consume(stu, ['review']), (e) => {
+        assert.ok(e instanceof QuotaError);
+        assert.equal(e.status, 429);
+        assert.equal(e.code, 'rate_limited');
+        assert.equal(e.details.bucket, 'review');
+        assert.equal(e.details.limit, 2);
+        assert.equal(e.details.window, 'minute');
+        assert.ok(Date.parse(e.details.resetAt) > Date.now());
+        assert.ok(e.details.retryAfterSec >= 1 && e.details.retryAfterSec <= 60);
+        return true;
+    });
+    // 다른 identity / 다른 버킷은 따로 셈
+    await quotas.consume(learner('stu2'), ['review']);
+    await quotas.consume(stu, ['ask']);
+});
+
+test('going over the daily quota throws quota_exceeded reset at the next UTC midnight', async () => {
+    const quotas = quotasWith({ RATE_LIMIT_ASK_PER_MIN: '0', QUOTA_ASK_PER_DAY: '1' });
+    const stu = learner('stu1');
+    const [status] = await quotas.consume(stu, ['ask']);
+    assert.deepEqual({ limit: status.limit, remaining: status.remaining }, { limit: 1, remaining: 0 });
+
+    await assert.rejects(quotas.consume(stu, ['ask']), (e) => {
+        assert.equal(e.code, 'quota_exceeded');
+        assert.equal(e.details.window, 'day');
+        assert.equal(e.details.resetAt.slice(11), '00:00:00.000Z');
+        assert.ok(e.details.resetAt.slice(0, 10) > dayKey());
+        return true;
+    });
+});
+
+test('a rejected multi-bucket charge consumes nothing', async () => {
+    const quotas = quotasWith({ RATE_LIMIT_REVIEW_PER_MIN: '1' });
+    const stu = learner('stu1');
+    await quotas.consume(stu, ['review']);
+
+    await assert.rejects(quotas.consume(stu, ['stt', 'review']), { code: 'rate_limited' });
+    const [report] = await quotas.report();
+    assert.deepEqual(report.counts, { ask: 0, review: 1, tts: 0, stt: 0 });
+});
+
+test('a refund restores the minute and daily counts', async () => {
+    const quotas = quotasWith({ RATE_LIMIT_REVIEW_PER_MIN: '1' });
+    const stu = learner('stu1');
+    const chargedAt = Date.now();
+    await quotas.consume(stu, ['review']);
+    await assert.rejects(quotas.consume(stu, ['review']), { code: 'rate_limited' });
+
+    await quotas.refund(stu, ['review'], chargedAt);
+    const [report] = await quotas.report();
+    assert.equal(report.counts.review, 0);
+    await quotas.consume(stu, ['review']);
+});
+
+test('a refund for an earlier day leaves today alone', async () => {
+    const quotas = quotasWith({});
+    const stu = learner('stu1');
+    await quotas.consume(stu, ['ask']);
+
+    await quotas.refund(stu, ['ask'], Date.now() - 2 * 24 * 60 * 60 * 1000);
+    const [report] = await quotas.report();
+    assert.equal(report.counts.ask, 1);
+});
+
+test('daily counts survive a restart', async () => {
+    const db = createMemoryDb();
+    const env = { QUOTA_TTS_PER_DAY: '2' };
+    const stu = learner('stu1');
+    await quotasWith(env, db).consume(stu, ['tts']);
+    await quotasWith(env, db).consume(stu, ['tts']);
+    // 저장은 기다리지 않으므로 한 틱 양보
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await assert.rejects(quotasWith(env, db).consume(stu, ['tts']), { code: 'quota_exceeded' });
+});
+
+test('api key limits override the defaults per bucket', async () => {
+    const quotas = quotasWith({});
+    const stu = learner('stu1', { limits: normalizeLimits({ review: { perMinute: 1 } }) });
+    await quotas.consume(stu, ['review']);
+
+    await assert.rejects(quotas.consume(stu, ['review']), { code: 'rate_limited' });
+});
+
+test('limits from api key requests keep only known buckets and non-negative integers', () => {
+    assert.deepEqual(
+        normalizeLimits({ review: { perMinute: 3, perDay: -1 }, tts: { perDay: 1.5 }, video: { perDay: 9 } }),
+        { review: { perMinute: 3 } }
+    );
+    assert.equal(normalizeLimits({}), null);
+    assert.equal(normalizeLimits('lots'), null);
+});
+
+test('anonymous limits in off mode are opt-in', () => {
+    assert.equal(quotaConfig({}).whenAuthOff, false);
+    assert.equal(quotaConfig({ RATE_LIMIT_WHEN_AUTH_OFF: 'ON' }).whenAuthOff, true);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLevel, repairReview } from '../lib/reviewSchema.js';
+
+const base = {
+    fluency: 'f',
+    grammar: 'g',
+    vocab: 'v',
+    taskAchievement: 't',
+    overallFeedback: 'o',
+    criteriaScores: { fluency: 2, grammar: 2, vocab: 2, taskAchievement: 2 },
+    score: 2,
+};
+
+test('levels are only ever normalized downwards', () => {
+    assert.equal(normalizeLevel('IM3'), 'IM2');
+    assert.equal(normalizeLevel('Advanced High'), 'AL');
+    assert.equal(normalizeLevel('IL'), null);
+    assert.equal(normalizeLevel('Novice Mid'), null);
+});
+
+test('novice / IL recommendations are rejected instead of reported as IM1', () => {
+    for (const level of ['NL', 'NM', 'NH', 'IL', 'Intermediate Low']) {
+        const result = repairReview({ ...base, recommendedLevel: level });
+        assert.equal(result.review, null, level);
+        assert.deepEqual(result.issues, ['recommendedLevel:below_range']);
+    }
+});
+
+test('a missing level is still derived from the score', () => {
+    const result = repairReview({ ...base, recommendedLevel: undefined });
+    assert.equal(result.review.recommendedLevel, 'IM1');
+    assert.ok(result.repairs.includes('recommendedLevel:derived'));
+});
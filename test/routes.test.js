@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FORM_SIZE } from '../lib/sessions.js';
+import { startServer } from './helpers/server.js';
+
+const ADMIN = 'routes-test-admin';
+const admin = { headers: { 'x-api-key': ADMIN } };
+
+const review = (extra = {}) => ({
+    questionId: 'adv_01',
+    questionText: 'Tell me about your weekend.',
+    answerText: 'I usually go camping with my family on weekends because it is relaxing.',
+    targetLevel: 'IH',
+    ...extra,
+});
+
+let server;
+
+before(async () => {
+    server = await startServer({ ADMIN_API_KEY: ADMIN });
+});
+
+after(() => server?.stop());
+
+test('review returns a validated review with the request ids', async () => {
+    const res = await server.post('/api/review', review(), { headers: { 'x-learner-id': 'reviewer1' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.questionId, 'adv_01');
+    assert.equal(res.body.targetLevel, 'IH');
+    assert.equal(res.body.rubricVersion, 'v2');
+    assert.ok(Number.isFinite(res.body.score));
+    assert.equal(res.body.category, 'advanced');
+    assert.ok(res.body.recommendedLevel);
+
+    const history = await server.get('/api/learners/reviewer1/history');
+    assert.equal(history.status, 200);
+    assert.equal(history.body.attempts.length, 1);
+    assert.equal(history.body.attempts[0].source, 'review');
+});
+
+test('review rejects missing fields, unknown categories and unknown rubrics', async () => {
+    const missing = await server.post('/api/review', review({ answerText: '' }));
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'missing_fields');
+    assert.equal((await server.post('/api/review', review({ category: 'essay' }))).body.error, 'invalid_category');
+    assert.equal((await server.post('/api/review', review({ words: 'hello' }))).body.error, 'invalid_words');
+    const rubric = await server.post('/api/review', review({ rubricVersion: 'v99' }));
+    assert.equal(rubric.status, 400);
+});
+
+test('review can stream progress before the final result', async () => {
+    const res = await server.post('/api/review?stream=1', review());
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    assert.match(res.text, /event: progress/);
+    const done = /event: done\ndata: (.+)\n/.exec(res.text);
+    assert.ok(done, res.text);
+    assert.equal(JSON.parse(done[1]).questionId, 'adv_01');
+});
+
+test('a session walks the whole form and grades it at the end', async () => {
+    const created = await server.post('/api/sessions', { targetLevel: 'IM2' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.total, FORM_SIZE);
+    assert.equal(created.body.status, 'in_progress');
+    const id = created.body.sessionId;
+
+    const first = await server.get(`/api/sessions/${id}/next`);
+    const mismatch = await server.post(`/api/sessions/${id}/answers`, { questionId: 'not_this_one', answerText: 'hi' });
+    assert.equal(mismatch.status, 409);
+    assert.equal(mismatch.body.expected, first.body.question.id);
+    assert.equal((await server.post(`/api/sessions/${id}/answers`, { answerText: ' ' })).status, 400);
+
+    let last;
+    for (let i = 0; i < FORM_SIZE; i++) {
+        const next = await server.get(`/api/sessions/${id}/next`);
+        assert.equal(next.body.done, false);
+        last = await server.post(`/api/sessions/${id}/answers`, {
+            questionId: next.body.question.id,
+            answerText: `Answer number ${i + 1} about ${next.body.question.topic}.`,
+        });
+        assert.equal(last.status, 200);
+    }
+    assert.equal(last.body.done, true);
+    assert.equal(last.body.result.answered, FORM_SIZE);
+    assert.ok(last.body.result.level);
+
+    const finished = await server.get(`/api/sessions/${id}/next`);
+    assert.equal(finished.body.done, true);
+    assert.equal(finished.body.status, 'completed');
+    const extra = await server.post(`/api/sessions/${id}/answers`, { answerText: 'one more' });
+    assert.equal(extra.status, 409);
+    assert.equal(extra.body.error, 'session_completed');
+});
+
+test('session creation validates its input', async () => {
+    assert.equal((await server.post('/api/sessions', { targetLevel: 'XX' })).body.error, 'invalid_target_level');
+    assert.equal((await server.post('/api/sessions', { topics: 'camping' })).body.error, 'topics_must_be_array');
+    assert.equal((await server.post('/api/sessions', { topics: ['underwater_basketweaving'] })).body.error, 'unknown_topics');
+    assert.equal((await server.post('/api/sessions', { surveyId: 'missing' })).status, 404);
+    assert.equal((await server.get('/api/sessions/missing')).status, 404);
+});
+
+test('admins can edit, retire and reorder questions', async () => {
+    const edited = await server.put('/api/admin/questions/adv_02', { text: 'What changed in your town recently?' }, admin);
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.video, 'pending');
+    assert.equal((await server.get('/api/questions/adv_02')).body.text, 'What changed in your town recently?');
+
+    const retired = await server.post('/api/admin/questions/adv_02/retire', {}, admin);
+    assert.equal(retired.status, 200);
+    assert.equal(retired.body.version, edited.body.version + 1);
+    const listed = await server.get('/api/questions?type=advanced');
+    assert.ok(!listed.body.questions.some((q) => q.id === 'adv_02'));
+    assert.equal((await server.post('/api/admin/questions/adv_02/retire', {}, admin)).status, 409);
+    assert.equal((await server.post('/api/admin/questions/adv_02/restore', {}, admin)).status, 200);
+
+    const before = (await server.get('/api/admin/questions', admin)).body.questions.map((q) => q.id);
+    const reordered = await server.post('/api/admin/questions/reorder', { ids: [before[2], before[0]] }, admin);
+    assert.equal(reordered.status, 200);
+    assert.deepEqual(reordered.body.order.slice(0, 3), [before[2], before[1], before[0]]);
+
+    const history = await server.get('/api/admin/questions/history?questionId=adv_02', admin);
+    assert.deepEqual(history.body.versions.map((v) => v.action), ['restore', 'retire', 'update']);
+});
+
+test('question edits are validated and need the admin key', async () => {
+    assert.equal((await server.put('/api/admin/questions/adv_01', { text: 'x' })).status, 401);
+    const invalid = await server.put('/api/admin/questions/adv_01', { type: 'quiz' }, admin);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.problems, ['type:unknown']);
+    assert.equal((await server.put('/api/admin/questions/ghost_01', { text: 'x' }, admin)).status, 404);
+    assert.equal((await server.post('/api/admin/questions/reorder', { ids: ['ghost_01'] }, admin)).status, 400);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_RUBRIC_VERSION,
+    buildReviewPrompt,
+    defaultRubricVersion,
+    listRubricVersions,
+    loadRubric,
+    reviewTask,
+} from '../lib/rubrics.js';
+
+test('default rubric stays pinned when newer versions exist', () => {
+    assert.ok(listRubricVersions().length > 1);
+    assert.equal(defaultRubricVersion({}), DEFAULT_RUBRIC_VERSION);
+    assert.equal(defaultRubricVersion({ RUBRIC_VERSION: 'v1' }), 'v1');
+});
+
+test('a known question keeps its own type over a client category', () => {
+    const question = { id: 'rp_01', type: 'roleplay', roleplay: { scenario: 's', expected: 'e' } };
+    assert.deepEqual(reviewTask({ question, category: 'topic' }), { category: 'roleplay', scenario: 's', expected: 'e' });
+    assert.equal(reviewTask({ question: null, category: 'unexpected' }).category, 'unexpected');
+    assert.equal(reviewTask({}), null);
+});
+
+test('the default rubric switches task achievement by category and reports it', () => {
+    const task = reviewTask({ question: { type: 'roleplay', roleplay: { scenario: 'Concert tickets', expected: 'Ask 3-4 questions' } } });
+    const input = { questionText: 'q', answerText: 'a', targetLevel: 'IM2', task };
+    const prompt = buildReviewPrompt(loadRubric(DEFAULT_RUBRIC_VERSION), 'en', input);
+    assert.equal(prompt.category, 'roleplay');
+    assert.match(prompt.prompt, /role-play task was carried out/);
+    assert.match(prompt.prompt, /Concert tickets/);
+});
+
+test('a rubric without category criteria does not report a category', () => {
+    const task = reviewTask({ question: { type: 'roleplay' } });
+    const prompt = buildReviewPrompt(loadRubric('v1'), 'en', { questionText: 'q', answerText: 'a', targetLevel: 'IM2', task });
+    assert.equal(prompt.category, null);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateReviews, levelFromScore } from '../lib/scoring.js';
+
+const review = (score, criteriaScores) => ({
+    score,
+    criteriaScores: criteriaScores || { fluency: score, grammar: score, vocab: score, taskAchievement: score },
+});
+
+test('levelFromScore maps average score thresholds to OPIc levels', () => {
+    assert.equal(levelFromScore(5), 'AL');
+    assert.equal(levelFromScore(4.5), 'AL');
+    assert.equal(levelFromScore(4.49), 'IH');
+    assert.equal(levelFromScore(3.6), 'IM3');
+    assert.equal(levelFromScore(3.2), 'IM2');
+    assert.equal(levelFromScore(2.8), 'IM1');
+    assert.equal(levelFromScore(2.4), 'IL');
+    assert.equal(levelFromScore(2), 'NH');
+    assert.equal(levelFromScore(1.5), 'NM');
+    assert.equal(levelFromScore(1.49), 'NL');
+});
+
+test('no scored reviews gives no level', () => {
+    const result = aggregateReviews([{ review: { score: 'n/a' } }, null]);
+    assert.equal(result.level, null);
+    assert.equal(result.reviewed, 0);
+    assert.deepEqual(result.limitingFactors, []);
+});
+
+test('uniform reviews map straight to the level of their average', () => {
+    const result = aggregateReviews(Array.from({ length: 15 }, () => review(4)));
+    assert.equal(result.level, 'IH');
+    assert.equal(result.baseLevel, 'IH');
+    assert.equal(result.averageScore, 4);
+    assert.equal(result.reviewed, 15);
+    assert.deepEqual(result.limitingFactors, []);
+});
+
+test('accepts bare review objects as well as session answers', () => {
+    const bare = aggregateReviews([review(3), review(4)]);
+    const wrapped = aggregateReviews([{ review: review(3) }, { review: review(4) }]);
+    assert.deepEqual(bare, wrapped);
+    assert.equal(bare.averageScore, 3.5);
+    assert.equal(bare.level, 'IM2');
+});
+
+test('a weak criterion caps the level at IM2', () => {
+    const reviews = Array.from({ length: 5 }, () => review(4, { fluency: 4, grammar: 2, vocab: 4, taskAchievement: 4 }));
+    const result = aggregateReviews(reviews);
+    assert.equal(result.baseLevel, 'IH');
+    assert.equal(result.level, 'IM2');
+    assert.equal(result.weakestCriterion, 'grammar');
+    assert.deepEqual(result.limitingFactors, [
+        { type: 'criterion', criterion: 'grammar', average: 2, cap: 'IM2' },
+    ]);
+});
+
+test('missing criteriaScores fall back to the overall score', () => {
+    const result = aggregateReviews([{ score: 2 }, { score: 4 }]);
+    assert.deepEqual(result.criteria, { fluency: 3, grammar: 3, vocab: 3, taskAchievement: 3 });
+});
+
+test('a weak advanced section caps the level at IM3', () => {
+    const entries = [
+        ...Array.from({ length: 13 }, () => ({ section: 'combo', review: review(5) })),
+        ...Array.from({ length: 2 }, () => ({ section: 'advanced', review: review(3) })),
+    ];
+    const result = aggregateReviews(entries);
+    assert.equal(result.averageScore, 4.73);
+    assert.equal(result.baseLevel, 'AL');
+    assert.equal(result.level, 'IM3');
+    assert.deepEqual(result.sections, { combo: 5, advanced: 3 });
+    assert.deepEqual(result.limitingFactors, [
+        { type: 'section', section: 'advanced', average: 3, cap: 'IM3' },
+    ]);
+});
+
+test('same reviews give the same result regardless of order', () => {
+    const entries = [review(2), review(5), review(3, { fluency: 3, grammar: 4, vocab: 2, taskAchievement: 3 })];
+    const first = aggregateReviews(entries);
+    assert.deepEqual(aggregateReviews(entries), first);
+    assert.deepEqual(aggregateReviews([...entries].reverse()), first);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMBO_STEPS, loadQuestions } from '../lib/questions.js';
+import {
+    ADVANCED_COUNT,
+    FORM_SIZE,
+    buildForm,
+    comboTopics,
+    createSession,
+    currentItem,
+    recordAnswer,
+    requireSession,
+} from '../lib/sessions.js';
+
+const review = (score) => ({ score, criteriaScores: { fluency: score, grammar: score, vocab: score, taskAchievement: score } });
+
+test('a form follows the real exam layout', () => {
+    const form = buildForm({ topics: ['camping', 'movies'] });
+    assert.equal(form.length, FORM_SIZE);
+    assert.deepEqual(form.map((item) => item.index), Array.from({ length: FORM_SIZE }, (_, i) => i + 1));
+    assert.equal(form[0].section, 'intro');
+    assert.deepEqual(form.slice(1, 10).map((item) => item.section), Array(9).fill('combo'));
+    assert.deepEqual(form.slice(-ADVANCED_COUNT).map((item) => item.section), ['advanced', 'advanced']);
+    assert.ok(['roleplay', 'unexpected'].includes(form[10].section));
+    assert.deepEqual(form.slice(1, 7).map((item) => item.topic), ['camping', 'camping', 'camping', 'movies', 'movies', 'movies']);
+});
+
+test('combo questions come in describe → routine → past order', () => {
+    const form = buildForm({ topics: ['camping', 'hiking', 'residence'] });
+    for (const combo of [1, 2, 3]) {
+        const steps = form.filter((item) => item.combo === combo).map((item) => item.question.combo?.step);
+        assert.deepEqual(steps, COMBO_STEPS);
+    }
+});
+
+test('topic choices are validated', () => {
+    assert.throws(() => buildForm({ topics: ['underwater'] }), (e) => {
+        assert.equal(e.code, 'unknown_topics');
+        assert.deepEqual(e.details.unknown, ['underwater']);
+        assert.deepEqual(e.details.available, comboTopics());
+        return true;
+    });
+    const [a, b, c, d] = comboTopics();
+    assert.throws(() => buildForm({ topics: [a, b, c, d] }), { code: 'too_many_topics' });
+});
+
+test('a survey limits combos to its topics', () => {
+    const survey = { id: 's1', role: 'none', activities: ['camping', 'movies', 'hiking', 'travelKR'] };
+    const form = buildForm({ survey });
+    const topics = new Set(form.filter((item) => item.section === 'combo').map((item) => item.topic));
+    for (const topic of topics) assert.ok(['residence', ...survey.activities].includes(topic), topic);
+    assert.throws(() => buildForm({ topics: ['cooking'], survey }), { code: 'topics_not_in_survey' });
+});
+
+test('a bank too small for a full form is refused', () => {
+    const small = loadQuestions().filter((q) => q.type !== 'advanced');
+    assert.throws(() => buildForm({}, small), (e) => {
+        assert.equal(e.code, 'not_enough_questions');
+        assert.equal(e.details.required, FORM_SIZE);
+        return true;
+    });
+});
+
+test('answers move through the form and grade it when finished', () => {
+    const session = createSession({ targetLevel: 'ih' });
+    assert.equal(session.targetLevel, 'IH');
+    assert.equal(requireSession(session.id), session);
+
+    assert.throws(() => recordAnswer(session, { questionId: 'wrong', answerText: 'x' }), { code: 'question_mismatch', status: 409 });
+    for (let i = 0; i < FORM_SIZE; i++) {
+        const item = currentItem(session);
+        recordAnswer(session, { questionId: item.question.id, answerText: `answer ${i}`, review: review(4) });
+    }
+    assert.equal(session.status, 'completed');
+    assert.equal(session.result.answered, FORM_SIZE);
+    assert.equal(currentItem(session), null);
+    assert.throws(() => recordAnswer(session, { answerText: 'late' }), { code: 'session_completed' });
+});
+
+test('sessions reject unknown levels and ids', () => {
+    assert.throws(() => createSession({ targetLevel: 'C1' }), { code: 'invalid_target_level' });
+    assert.throws(() => requireSession('missing'), { code: 'session_not_found', status: 404 });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SURVEY_RULES,
+    activityCategory,
+    eligibleTopics,
+    getSurvey,
+    saveSurvey,
+    selectSurveyTopics,
+    surveyOptions,
+    validateSurvey,
+} from '../lib/survey.js';
+
+const valid = { residence: 'family', role: 'student', activities: ['movies', 'music', 'hiking', 'travelKR'] };
+
+test('a valid survey is saved and can be read back', () => {
+    const survey = saveSurvey({ ...valid, recentCourse: '  Korean history  ' });
+    assert.equal(survey.recentCourse, 'Korean history');
+    assert.equal(getSurvey(survey.id), survey);
+    assert.equal(getSurvey('missing'), null);
+});
+
+test('the minimum selection rules are enforced', () => {
+    assert.throws(() => validateSurvey({ ...valid, activities: ['movies', 'music', 'reading', 'cooking'] }), (e) => {
+        assert.equal(e.code, 'invalid_survey');
+        assert.equal(e.status, 400);
+        assert.deepEqual(e.details.errors.map((x) => x.rule), ['minSports', 'minTravel']);
+        return true;
+    });
+    assert.throws(() => validateSurvey({ ...valid, activities: ['hiking', 'travelKR'] }), (e) => {
+        const rules = e.details.errors.map((x) => x.rule);
+        assert.ok(rules.includes('minActivities') && rules.includes('minLeisureOrHobby'));
+        return true;
+    });
+});
+
+test('unknown answers are reported per field', () => {
+    assert.throws(() => validateSurvey({ residence: 'castle', role: 'king', activities: [...valid.activities, 'jousting'] }), (e) => {
+        assert.deepEqual(e.details.errors.map((x) => x.field), ['residence', 'role', 'activities']);
+        assert.deepEqual(e.details.errors[2].unknown, ['jousting']);
+        return true;
+    });
+    assert.throws(() => validateSurvey({ ...valid, activities: 'movies' }), { code: 'invalid_survey' });
+});
+
+test('work and school topics only apply to learners with a role', () => {
+    assert.deepEqual(eligibleTopics({ ...valid, role: 'none' }).background, ['residence']);
+    assert.deepEqual(eligibleTopics(valid).background, ['residence', 'jobMajor', 'env']);
+});
+
+test('the topic picker takes one background topic and a leisure or hobby topic', () => {
+    for (let i = 0; i < 20; i++) {
+        const [background, leisure, third] = selectSurveyTopics({ ...valid, role: 'none' });
+        assert.equal(background, 'residence');
+        assert.ok(['leisure', 'hobby'].includes(activityCategory(leisure)));
+        assert.ok(valid.activities.includes(third) && third !== leisure);
+    }
+});
+
+test('survey options list the choices and rules', () => {
+    const options = surveyOptions();
+    assert.deepEqual(options.rules, SURVEY_RULES);
+    assert.ok(options.surveyQuestions.residence.length > 0);
+    assert.equal(activityCategory('hiking'), 'sports');
+    assert.equal(activityCategory('jousting'), null);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../lib/mediaStore.js';
+import { createTtsCache, pickVoice, ttsCacheKey } from '../lib/ttsCache.js';
+
+// synthesize 호출 수를 세는 llm (fail 에 든 텍스트는 실패)
+function countingLlm({ fail = [] } = {}) {
+    const llm = {
+        calls: 0,
+        models: { tts: 'test-tts' },
+        async synthesize({ text }) {
+            llm.calls += 1;
+            await new Promise((resolve) => setImmediate(resolve));
+            if (fail.includes(text)) throw new Error(`tts failed: ${text}`);
+            return { buf: Buffer.from(text), mime: 'audio/mpeg' };
+        },
+    };
+    return llm;
+}
+
+const store = () => createMemoryStore({ ttlMs: 60_000, maxBytes: 1024 * 1024 });
+
+test('the same text and voice are synthesized once', async () => {
+    const llm = countingLlm();
+    const cache = createTtsCache({ llm, store: store() });
+
+    const [a, b] = await Promise.all([
+        cache.synthesize({ text: 'Hello', voice: 'sage' }),
+        cache.synthesize({ text: 'Hello', voice: 'sage' }),
+    ]);
+    assert.equal(a.id, b.id);
+    assert.equal(a.cached, false);
+    assert.equal((await cache.synthesize({ text: 'Hello', voice: 'sage' })).cached, true);
+    assert.equal(llm.calls, 1);
+    assert.deepEqual((await cache.get(a.id)).buf, Buffer.from('Hello'));
+
+    await cache.synthesize({ text: 'Hello', voice: 'nova' });
+    assert.equal(llm.calls, 2);
+});
+
+test('cache keys cover model, voice, text and format', () => {
+    const base = { model: 'm', voice: 'sage', text: 'hi', format: 'mp3' };
+    const keys = new Set([
+        ttsCacheKey(base),
+        ttsCacheKey({ ...base, model: 'm2' }),
+        ttsCacheKey({ ...base, voice: 'nova' }),
+        ttsCacheKey({ ...base, text: 'hi!' }),
+        ttsCacheKey({ ...base, format: 'wav' }),
+    ]);
+    assert.equal(keys.size, 5);
+    assert.equal(ttsCacheKey(base), ttsCacheKey({ ...base }));
+});
+
+test('prewarm reports cached, synthesized and failed items', async () => {
+    const llm = countingLlm({ fail: ['Broken'] });
+    const cache = createTtsCache({ llm, store: store() });
+    await cache.synthesize({ text: 'One', voice: 'sage' });
+
+    const seen = [];
+    const summary = await cache.prewarm(
+        [{ id: 'q1', text: 'One' }, { id: 'q2', text: 'Two' }, { id: 'q3', text: 'Broken' }],
+        { voice: 'sage', batchSize: 2, onItem: (item) => seen.push(item.id) }
+    );
+    assert.equal(summary.total, 3);
+    assert.equal(summary.cached, 1);
+    assert.equal(summary.synthesized, 1);
+    assert.deepEqual(summary.failed, [{ id: 'q3', error: 'tts failed: Broken' }]);
+    assert.deepEqual(seen.sort(), ['q1', 'q2', 'q3']);
+});
+
+test('unknown voices fall back to the default', () => {
+    assert.equal(pickVoice('NOVA', {}), 'nova');
+    assert.equal(pickVoice('robot', {}), 'sage');
+    assert.equal(pickVoice(undefined, { TTS_VOICE: 'echo' }), 'echo');
+});
@@ -0,0 +1,73 @@
+// tts-prewarm.js
+// 질문 은행 TTS 미리 합성 (서버 요청 안에서 하지 않고 별도 프로세스로)
+//
+// Usage: node tts-prewarm.js [options]
+//   --type <t>       해당 type 의 질문만 (survey | topic | advanced | roleplay | unexpected)
+//   --topic <a,b>    해당 주제의 질문만
+//   --voice <v>      목소리 (기본: TTS_VOICE 또는 sage)
+//   --batch <n>      동시에 합성할 개수 (기본 5)
+//   --pause <ms>     배치 사이 쉬는 시간 (기본 1000)
+//   --dry-run        합성 없이 대상만 출력
+// 캐시는 서버와 같은 TTS_CACHE_DIR 에 쌓임 (TTS_CACHE_STORE=memory 면 프로세스가 끝나면 사라짐)
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { QUESTION_TYPES, loadQuestions } from './lib/questions.js';
+import { createDb } from './lib/db/index.js';
+import { createProvider } from './lib/providers/index.js';
+import { loadQuestionOverlay } from './lib/questionBank.js';
+import { createTtsCache, pickVoice, ttsCacheConfig } from './lib/ttsCache.js';
+
+const { values: opts } = parseArgs({
+    options: {
+        type: { type: 'string' },
+        topic: { type: 'string' },
+        voice: { type: 'string' },
+        batch: { type: 'string', default: '5' },
+        pause: { type: 'string', default: '1000' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+if (opts.help || (opts.type && !QUESTION_TYPES.includes(opts.type))) {
+    console.log(`Usage: node tts-prewarm.js [--type ${QUESTION_TYPES.join('|')}] [--topic a,b] [--voice v] [--batch n] [--pause ms] [--dry-run]`);
+    process.exit(opts.help ? 0 : 1);
+}
+
+const topics = opts.topic ? opts.topic.split(',').map((s) => s.trim()) : null;
+const voice = pickVoice(opts.voice);
+
+async function main() {
+    await loadQuestionOverlay(createDb()); // 관리자가 고친 문항이 있으면 그 텍스트로
+    const items = loadQuestions()
+        .filter((q) => (!opts.type || q.type === opts.type) && (!topics || topics.includes(q.topic)))
+        .map((q) => ({ id: q.id, text: q.text }));
+
+    if (opts['dry-run']) {
+        console.log(`🧪 [dry-run] would prewarm ${items.length} question(s) with voice ${voice}`);
+        for (const { id } of items) console.log(`   ${id}`);
+        return;
+    }
+    if (ttsCacheConfig().backend === 'memory') {
+        console.warn('⚠️ TTS_CACHE_STORE=memory — 결과가 서버와 공유되지 않습니다.');
+    }
+
+    const ttsCache = createTtsCache({ llm: createProvider() });
+    await ttsCache.sweep();
+    const summary = await ttsCache.prewarm(items, {
+        voice,
+        batchSize: Math.max(1, parseInt(opts.batch, 10) || 1),
+        pauseMs: Math.max(0, parseInt(opts.pause, 10) || 0),
+        onItem: ({ id, cached, error }) => {
+            if (error) console.error(`❌ ${id}: ${error.message || error}`);
+            else console.log(`${cached ? '♻️' : '✅'} ${id}`);
+        },
+    });
+    console.log(`🎉 prewarm: total=${summary.total}, synthesized=${summary.synthesized}, cached=${summary.cached}, failed=${summary.failed.length}`);
+    if (summary.failed.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+    console.error('💥 Unhandled error in tts-prewarm.js', e);
+    process.exit(1);
+});
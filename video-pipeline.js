@@ -0,0 +1,354 @@
+// video-pipeline.js
+// D-ID 아바타 영상 파이프라인 (create-videos / download-videos / check-talk 통합)
+//
+// Usage: node video-pipeline.js <create|poll|download|status|sync|check> [options]
+//   --avatar <url>   아바타 이미지 URL (기본: DID_SOURCE_IMAGE_URL 또는 netlify avatar.png)
+//   --limit <n>      이번 실행에서 새로 만들 talk 최대 개수 (기본 5)
+//   --topic <a,b>    해당 주제의 질문만 처리
+//   --id <a,b>       해당 id의 질문만 처리
+//   --dry-run        D-ID 호출/파일 쓰기 없이 할 일만 출력
+//   --retry-failed   error / rejected 상태의 질문을 pending으로 되돌려 다시 생성
+//   --stale          질문 텍스트/아바타가 바뀐 영상만 다시 생성 (create / sync)
+//   --accept         check: 해시 없는 예전 영상에 현재 해시를 기준값으로 기록
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { loadQuestions, hasVideo } from './lib/questions.js';
+import {
+    findStale,
+    getTalk,
+    loadTalks,
+    reconcile,
+    recordFailure,
+    saveTalks,
+    scriptHash,
+    stateFromDid,
+    transition,
+    videoFreshness,
+    writeVideo,
+} from './lib/talks.js';
+import { createDidClient, isRetryableStatus, retryAfterMs, DEFAULT_SOURCE_IMAGE_URL } from './lib/did.js';
+import { createDb } from './lib/db/index.js';
+import { createRegenerationMarks, loadQuestionOverlay, markForRegeneration } from './lib/questionBank.js';
+
+const COMMANDS = ['create', 'poll', 'download', 'status', 'sync', 'check'];
+
+const { values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        avatar: { type: 'string', default: DEFAULT_SOURCE_IMAGE_URL },
+        limit: { type: 'string', default: '5' },
+        topic: { type: 'string' },
+        id: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        'retry-failed': { type: 'boolean', default: false },
+        stale: { type: 'boolean', default: false },
+        accept: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+const command = positionals[0] || 'status';
+const dryRun = opts['dry-run'];
+const limit = Math.max(0, parseInt(opts.limit, 10) || 0);
+const topics = opts.topic ? opts.topic.split(',').map((s) => s.trim()) : null;
+const ids = opts.id ? opts.id.split(',').map((s) => s.trim()) : null;
+
+if (opts.help || !COMMANDS.includes(command)) {
+    console.log(`Usage: node video-pipeline.js <${COMMANDS.join('|')}> [--avatar url] [--limit n] [--topic a,b] [--id a,b] [--dry-run] [--retry-failed] [--stale] [--accept]`);
+    process.exit(opts.help ? 0 : 1);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function selectedQuestions() {
+    return loadQuestions().filter(
+        (q) => (!topics || topics.includes(q.topic)) && (!ids || ids.includes(q.id))
+    );
+}
+
+let did = null;
+function client() {
+    if (!did) {
+        try {
+            did = createDidClient({
+                onRetry: ({ label, attempt, delay, status }) =>
+                    console.log(`⏳ ${label} → ${status || 'network error'}, retry #${attempt} in ${delay}ms`),
+            });
+        } catch {
+            console.error('❌ D_ID_API_KEY is missing in .env');
+            process.exit(1);
+        }
+    }
+    return did;
+}
+
+/* --------------------------------- create --------------------------------- */
+const CREATABLE = ['pending', 'retry'];
+// 429 의 Retry-After 가 이보다 길면 기다리지 않고 이번 실행을 멈춤 (다음 실행은 retryAt 이후에)
+const MAX_RATE_LIMIT_WAIT_MS = Number(process.env.DID_MAX_RATE_LIMIT_WAIT_MS || 60_000);
+const RATE_LIMIT_DEFAULT_WAIT_MS = 30_000;
+
+async function create(talks) {
+    let createdCount = 0;
+    const questions = opts.stale ? findStale(selectedQuestions(), talks, opts.avatar) : selectedQuestions();
+    if (opts.stale) console.log(`🔁 stale videos: ${questions.map((q) => q.id).join(', ') || '(none)'}`);
+
+    for (const q of questions) {
+        const prev = getTalk(talks, q.id);
+        if (opts['retry-failed'] && ['error', 'rejected'].includes(prev.state)) {
+            transition(talks, q.id, 'pending', { attempts: 0, lastError: null });
+        }
+        // 오래된 영상은 새 영상을 받을 때까지 그대로 두고 talk만 다시 만든다
+        if (opts.stale && ['downloaded', 'done'].includes(prev.state) && !dryRun) {
+            transition(talks, q.id, 'pending', { regenerate: true, attempts: 0, lastError: null });
+        }
+        const current = getTalk(talks, q.id);
+        const creatable = CREATABLE.includes(current.state) || (opts.stale && dryRun);
+        if (!creatable || (hasVideo(q.id) && !current.regenerate && !opts.stale)) continue;
+        if (current.retryAt && Date.parse(current.retryAt) > Date.now()) {
+            console.log(`⏳ ${q.id}: rate limited until ${current.retryAt}, skip`);
+            continue;
+        }
+
+        if (createdCount >= limit) {
+            console.log(`⏹ Reached --limit=${limit}, stop here.`);
+            break;
+        }
+
+        if (dryRun) {
+            console.log(`🧪 [dry-run] would create talk for ${q.id} [${q.topic}]`);
+            createdCount += 1;
+            continue;
+        }
+
+        console.log(`➡️ Creating talk for ${q.id} [${q.topic}]`);
+        let waitMs = 1500;
+        try {
+            const r = await client().createTalk({ text: q.text, sourceUrl: opts.avatar });
+            if (r.status === 429) {
+                // 한도에 걸리면 Retry-After 만큼 쉬고, 너무 길면 이번 실행은 여기서 멈춤
+                waitMs = retryAfterMs(r.headers) ?? RATE_LIMIT_DEFAULT_WAIT_MS;
+                const retryAt = new Date(Date.now() + waitMs).toISOString();
+                console.error(`🚦 Rate limited on ${q.id}, retry after ${Math.ceil(waitMs / 1000)}s (${retryAt})`);
+                recordFailure(talks, q.id, { retryable: true, retryState: 'retry', error: 'rate_limited', httpStatus: 429, retryAt });
+                if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+                    saveTalks(talks);
+                    console.log(`⏹ Rate limit resets at ${retryAt}, stop here.`);
+                    break;
+                }
+            } else if (!r.ok) {
+                console.error(`❌ Failed for ${q.id} (status ${r.status})`, r.json);
+                recordFailure(talks, q.id, {
+                    retryable: isRetryableStatus(r.status),
+                    retryState: 'retry',
+                    error: r.json?.description || r.json?.kind || `http_${r.status}`,
+                    httpStatus: r.status,
+                });
+            } else {
+                console.log(`✅ ${q.id} → talk id = ${r.json.id}`);
+                // 기존 영상의 scriptHash 는 새 파일을 받을 때까지 그대로 (그 전까지는 여전히 stale)
+                transition(talks, q.id, 'created', {
+                    talkId: r.json.id,
+                    pendingScriptHash: scriptHash({ text: q.text, sourceUrl: opts.avatar }),
+                    pendingSourceUrl: opts.avatar,
+                    resultUrl: null,
+                    attempts: 0,
+                    lastError: null,
+                    httpStatus: null,
+                    retryAt: null,
+                });
+                createdCount += 1;
+            }
+        } catch (err) {
+            console.error(`💥 Exception for ${q.id}`, err);
+            recordFailure(talks, q.id, {
+                retryable: true,
+                retryState: 'retry',
+                error: String(err.message || err),
+            });
+        }
+        saveTalks(talks);
+        await sleep(waitMs);
+    }
+    console.log(`🎉 create: ${createdCount} talk(s)${dryRun ? ' (dry-run)' : ''}`);
+}
+
+/* ---------------------------------- poll ---------------------------------- */
+const POLLABLE = ['created', 'processing'];
+
+async function poll(talks) {
+    let polled = 0;
+    for (const q of selectedQuestions()) {
+        const r = getTalk(talks, q.id);
+        if (!r.talkId || !POLLABLE.includes(r.state)) continue;
+
+        if (dryRun) {
+            console.log(`🧪 [dry-run] would poll ${q.id} (talkId=${r.talkId})`);
+            continue;
+        }
+
+        try {
+            const res = await client().getTalk(r.talkId);
+            if (!res.ok) {
+                console.error(`❌ Failed to get talk ${q.id} (status ${res.status})`, res.json);
+                recordFailure(talks, q.id, {
+                    retryable: isRetryableStatus(res.status),
+                    retryState: r.state,
+                    error: `poll_http_${res.status}`,
+                    httpStatus: res.status,
+                });
+            } else {
+                let next = stateFromDid(res.json.status);
+                let lastError = res.json.error?.description || null;
+                // done인데 result_url이 없으면 더 기다려도 소용없음
+                if (next === 'done' && !res.json.result_url) {
+                    next = 'error';
+                    lastError = 'done_without_result_url';
+                }
+                transition(talks, q.id, next, {
+                    didStatus: res.json.status,
+                    resultUrl: res.json.result_url || null,
+                    lastError,
+                });
+                console.log(`📡 ${q.id}: ${res.json.status} → ${next}`);
+            }
+        } catch (err) {
+            console.error(`💥 Poll exception for ${q.id}`, err.message || err);
+            recordFailure(talks, q.id, { retryable: true, retryState: r.state, error: String(err.message || err) });
+        }
+        polled += 1;
+        saveTalks(talks);
+        await sleep(500);
+    }
+    console.log(`🎉 poll: ${polled} talk(s) checked`);
+}
+
+/* -------------------------------- download -------------------------------- */
+async function download(talks) {
+    let downloaded = 0;
+    for (const q of selectedQuestions()) {
+        const r = getTalk(talks, q.id);
+        if (r.state !== 'done' || !r.resultUrl) continue;
+
+        if (hasVideo(q.id) && !r.regenerate) {
+            if (!dryRun) transition(talks, q.id, 'downloaded');
+            continue;
+        }
+
+        if (dryRun) {
+            console.log(`🧪 [dry-run] would download videos/${q.id}.mp4`);
+            continue;
+        }
+
+        console.log(`⬇️ Downloading videos/${q.id}.mp4 ...`);
+        try {
+            writeVideo(q.id, await client().download(r.resultUrl));
+            // 파일이 바뀐 시점에 그 talk 를 만든 스크립트 해시를 기록
+            const hash = r.pendingScriptHash
+                ? { scriptHash: r.pendingScriptHash, sourceUrl: r.pendingSourceUrl, pendingScriptHash: null, pendingSourceUrl: null }
+                : {};
+            transition(talks, q.id, 'downloaded', {
+                ...hash,
+                downloadedAt: new Date().toISOString(),
+                regenerate: false,
+                attempts: 0,
+                lastError: null,
+            });
+            downloaded += 1;
+        } catch (e) {
+            console.error(`💥 Download failed for ${q.id}`, e.message || e);
+            recordFailure(talks, q.id, {
+                retryable: !e.status || isRetryableStatus(e.status),
+                retryState: 'done',
+                error: String(e.message || e),
+                httpStatus: e.status,
+            });
+        }
+        saveTalks(talks);
+        await sleep(1000);
+    }
+    console.log(`🎉 download: ${downloaded} new file(s)`);
+}
+
+/* ---------------------------------- check --------------------------------- */
+function check(talks) {
+    const counts = { fresh: 0, stale: 0, unknown: 0, none: 0 };
+    for (const q of selectedQuestions()) {
+        const talk = talks.get(q.id);
+        const freshness = videoFreshness(q, talk, opts.avatar);
+        counts[freshness] += 1;
+        if (freshness === 'stale') console.log(`   🔁 ${q.id} — video no longer matches question text/avatar`);
+        if (freshness === 'unknown' && opts.accept && !dryRun) {
+            talks.set(q.id, {
+                ...getTalk(talks, q.id),
+                state: talk?.state || 'downloaded',
+                scriptHash: scriptHash({ text: q.text, sourceUrl: opts.avatar }),
+                sourceUrl: opts.avatar,
+            });
+        }
+    }
+    if (opts.accept && !dryRun) {
+        saveTalks(talks);
+        console.log(`✅ accepted ${counts.unknown} existing video(s) as current`);
+    }
+    console.log(`🔎 fresh=${counts.fresh}, stale=${counts.stale}, unknown=${counts.unknown}, no video=${counts.none}`);
+    if (counts.stale) console.log('   → node video-pipeline.js sync --stale 로 해당 영상만 다시 만들 수 있어요.');
+    return counts;
+}
+
+/* --------------------------------- status --------------------------------- */
+function status(talks) {
+    const report = reconcile({ talks });
+    const rows = report.rows.filter(
+        (r) => (!topics || topics.includes(r.topic)) && (!ids || ids.includes(r.id))
+    );
+    const missing = rows.filter((r) => !r.hasVideo);
+
+    console.log(`📝 questions: ${rows.length}, with video: ${rows.length - missing.length}, missing: ${missing.length}`);
+    console.log(`📊 states: ${Object.entries(report.byState).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    for (const r of missing) {
+        const state = r.talkId ? `talk ${r.talkId} (${r.state})` : r.state;
+        console.log(`   ⚠️ ${r.id} [${r.topic}] — ${state}${r.lastError ? `: ${r.lastError}` : ''}`);
+    }
+    if (report.orphanVideos.length) console.log(`📦 videos without question: ${report.orphanVideos.join(', ')}`);
+    if (report.orphanTalks.length) console.log(`📄 talk records without question: ${report.orphanTalks.join(', ')}`);
+    return report;
+}
+
+// 관리자가 텍스트를 고친 문항 (DB 표시) → talk 를 pending(regenerate) 로, 파일에 저장한 뒤 표시를 지움
+async function applyRegenerations(db, talks) {
+    const regenerations = createRegenerationMarks(db);
+    const ids = (await regenerations.load()).map((m) => m.id);
+    if (!ids.length) return;
+    for (const id of ids) console.log(`🔁 ${id}: question text changed → ${markForRegeneration(talks, id)}`);
+    if (dryRun) return;
+    saveTalks(talks);
+    await regenerations.clear(ids);
+}
+
+async function main() {
+    const db = createDb();
+    await loadQuestionOverlay(db); // 관리자가 고친 문항이 있으면 그 텍스트로
+    const talks = loadTalks();
+    await applyRegenerations(db, talks);
+    if (command === 'create') await create(talks);
+    if (command === 'poll') await poll(talks);
+    if (command === 'download') await download(talks);
+    if (command === 'check') {
+        check(talks);
+        return;
+    }
+    if (command === 'sync') {
+        await create(talks);
+        await poll(talks);
+        await download(talks);
+    }
+    status(talks);
+}
+
+main().catch((e) => {
+    console.error('💥 Unhandled error in video-pipeline.js', e);
+    process.exit(1);
+});